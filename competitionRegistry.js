@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+class CompetitionRegistry {
+    constructor(competitionsFile) {
+        this.competitionsFile = competitionsFile
+            || process.env.COMPETITIONS_FILE
+            || path.join(__dirname, 'config', 'competitions.json');
+        this.competitions = this.loadCompetitions();
+    }
+
+    /**
+     * Load and validate the competition registry
+     */
+    loadCompetitions() {
+        const competitions = JSON.parse(fs.readFileSync(this.competitionsFile, 'utf8'));
+        const required = ['code', 'providerId', 'name'];
+
+        competitions.forEach(competition => {
+            const missing = required.filter(key => competition[key] === undefined);
+            if (missing.length > 0) {
+                throw new Error(`Competition "${competition.code || competition.name}" is missing: ${missing.join(', ')}`);
+            }
+        });
+
+        return competitions.map(competition => ({
+            aliases: [],
+            enabled: true,
+            ...competition
+        }));
+    }
+
+    /**
+     * List competitions for the API (enabled ones only unless asked otherwise)
+     */
+    listCompetitions({ enabledOnly = true } = {}) {
+        return this.competitions
+            .filter(competition => !enabledOnly || competition.enabled)
+            .map(competition => ({ ...competition }));
+    }
+
+    /**
+     * Find a competition by code, display name or alias (case-insensitive)
+     */
+    resolve(nameOrCode) {
+        const wanted = String(nameOrCode || '').trim().toLowerCase();
+
+        return this.competitions.find(competition =>
+            competition.code.toLowerCase() === wanted
+            || this.getNames(competition).some(name => name.toLowerCase() === wanted)
+        ) || null;
+    }
+
+    /**
+     * Every name a competition is known by
+     */
+    getNames(competition) {
+        return [competition.name, ...competition.aliases];
+    }
+
+    /**
+     * Check whether a stored competition name belongs to a registry competition
+     */
+    isMatchInCompetition(competition, storedName) {
+        const stored = String(storedName || '').toLowerCase();
+        return this.getNames(competition).some(name => name.toLowerCase() === stored);
+    }
+}
+
+module.exports = CompetitionRegistry;
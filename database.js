@@ -1,12 +1,53 @@
 const fs = require('fs');
 const path = require('path');
+const RatingCategories = require('./ratingCategories');
+const CompetitionRegistry = require('./competitionRegistry');
+const TeamRegistry = require('./teamRegistry');
+const JsonStore = require('./jsonStore');
+
+// Ratings stored before engine versions were stamped came from the original formula
+const LEGACY_ENGINE_VERSION = '1.0.0';
+
+// Stored columns an incoming copy of a match can correct, with their match field names
+const CORRECTABLE_FIELDS = {
+    home_score: 'homeScore',
+    away_score: 'awayScore',
+    duration: 'duration',
+    extra_time: 'extraTime',
+    penalties: 'penalties',
+    goals: 'goals',
+    events: 'events',
+    data_confidence: 'dataConfidence',
+    status: 'status',
+    stage: 'stage',
+    matchday: 'matchday'
+};
+const SCORE_COLUMNS = ['home_score', 'away_score', 'duration', 'extra_time', 'penalties'];
+const GOAL_COLUMNS = ['goals', 'events'];
+
+// Match query paging and the values its filters accept
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SORT_FIELDS = ['date', 'score'];
+const SORT_ORDERS = ['asc', 'desc'];
+const CONFIDENCE_LEVELS = ['full', 'score-only', 'synthesized'];
 
 class FootballDatabase {
-    constructor() {
+    /**
+     * @param {RatingCategories} categories - Category registry used to label stored ratings
+     * @param {CompetitionRegistry} competitions - Competition registry used to filter by competition
+     * @param {TeamRegistry} teams - Team registry used to store canonical team names and IDs
+     */
+    constructor(categories = new RatingCategories(), competitions = new CompetitionRegistry(), teams = new TeamRegistry()) {
+        this.categories = categories;
+        this.competitions = competitions;
+        this.teams = teams;
         this.matches = [];
         this.ratings = [];
+        this.history = [];
         this.nextMatchId = 1;
         this.nextRatingId = 1;
+        this.nextHistoryId = 1;
         this.isVercel = process.env.NODE_ENV === 'production' && process.env.VERCEL === '1';
     }
 
@@ -34,6 +75,15 @@ class FootballDatabase {
                     fs.mkdirSync(this.dataDir, { recursive: true });
                 }
 
+                // Ratings are renamed into place before matches: a crash before matches.json
+                // follows leaves ratings for unknown matches, which validateData catches
+                this.store = new JsonStore({
+                    dataDir: this.dataDir,
+                    files: { matches: 'matches.json', ratings: 'ratings.json', history: 'history.json' },
+                    writeOrder: ['history', 'ratings', 'matches'],
+                    validate: data => this.validateData(data.matches, data.ratings)
+                });
+
                 // Load existing data SYNCHRONOUSLY to ensure it's loaded before we continue
                 this.loadData();
                 console.log(`✅ Database initialized with ${this.matches.length} matches and ${this.ratings.length} ratings`);
@@ -47,6 +97,10 @@ class FootballDatabase {
         } catch (err) {
             console.error('❌ Error initializing database:', err.message);
             console.error(err.stack);
+            // Damaged files with no usable backup: refuse to start rather than serve an empty database
+            if (this.store) {
+                throw err;
+            }
             // Fallback to in-memory storage
             console.log('Falling back to in-memory database');
             this.loadInitialData();
@@ -61,78 +115,88 @@ class FootballDatabase {
         // Initialize with empty data for clean start
         this.matches = [];
         this.ratings = [];
+        this.history = [];
         this.nextMatchId = 1;
         this.nextRatingId = 1;
+        this.nextHistoryId = 1;
         
         console.log(`Initialized in-memory database with empty data`);
     }
 
     /**
      * Load data from JSON files (local development only)
+     * Damaged files are restored from an interrupted write or a backup; if nothing usable
+     * is left this throws rather than carrying on with empty data that the next save would write out
      */
     loadData() {
-        try {
-            console.log('📁 Loading data from files...');
-            console.log('📁 Matches file path:', this.matchesFile);
-            console.log('📁 Ratings file path:', this.ratingsFile);
-            
-            // Load matches
-            if (fs.existsSync(this.matchesFile)) {
-                console.log('📁 Matches file exists, reading...');
-                const matchesData = fs.readFileSync(this.matchesFile, 'utf8');
-                this.matches = JSON.parse(matchesData);
-                console.log(`📁 Loaded ${this.matches.length} matches from file`);
-                // Set next ID based on existing data
-                if (this.matches.length > 0) {
-                    this.nextMatchId = Math.max(...this.matches.map(m => m.id)) + 1;
-                }
-            } else {
-                console.log('📁 Matches file does not exist');
-                this.matches = [];
-            }
+        console.log('📁 Loading data from files...');
+        console.log('📁 Matches file path:', this.matchesFile);
+        console.log('📁 Ratings file path:', this.ratingsFile);
+        
+        const data = this.store.read();
+        if (!data) {
+            console.log('📁 Data files are being written by another process, keeping the loaded copy');
+            return;
+        }
+        
+        this.setData(data.matches, data.ratings, data.history);
+        console.log(`✅ Successfully loaded ${this.matches.length} matches and ${this.ratings.length} ratings into memory`);
+    }
 
-            // Load ratings
-            if (fs.existsSync(this.ratingsFile)) {
-                console.log('📁 Ratings file exists, reading...');
-                const ratingsData = fs.readFileSync(this.ratingsFile, 'utf8');
-                this.ratings = JSON.parse(ratingsData);
-                console.log(`📁 Loaded ${this.ratings.length} ratings from file`);
-                // Set next ID based on existing data
-                if (this.ratings.length > 0) {
-                    this.nextRatingId = Math.max(...this.ratings.map(r => r.id)) + 1;
-                }
-            } else {
-                console.log('📁 Ratings file does not exist');
-                this.ratings = [];
-            }
+    /**
+     * Replace the in-memory rows and move the ID counters past them
+     */
+    setData(matches, ratings, history) {
+        this.matches = matches;
+        this.ratings = ratings;
+        this.history = history;
+        this.nextMatchId = matches.length > 0 ? Math.max(...matches.map(m => m.id)) + 1 : 1;
+        this.nextRatingId = ratings.length > 0 ? Math.max(...ratings.map(r => r.id)) + 1 : 1;
+        this.nextHistoryId = history.length > 0 ? Math.max(...history.map(h => h.id)) + 1 : 1;
+    }
 
-            console.log(`✅ Successfully loaded ${this.matches.length} matches and ${this.ratings.length} ratings into memory`);
-        } catch (err) {
-            console.error('❌ Error loading data:', err.message);
-            console.error(err.stack);
-            // Initialize empty arrays if files don't exist or are corrupted
-            this.matches = [];
-            this.ratings = [];
+    /**
+     * Check that the two files agree with each other
+     * @returns {string|null} What's wrong, or null
+     */
+    validateData(matches, ratings) {
+        const matchIds = new Set(matches.map(m => m.id));
+        const orphan = ratings.find(r => !matchIds.has(r.match_id));
+        if (orphan) {
+            return `rating ${orphan.id} belongs to unknown match ${orphan.match_id}`;
         }
+
+        const currentRatings = new Map();
+        ratings.forEach(r => {
+            if (!currentRatings.has(r.match_id) || currentRatings.get(r.match_id).id < r.id) {
+                currentRatings.set(r.match_id, r);
+            }
+        });
+
+        const stale = matches.find(m => currentRatings.has(m.id)
+            && m.watchability_score !== null && m.watchability_score !== undefined
+            && currentRatings.get(m.id).total_score !== m.watchability_score);
+        return stale ? `match ${stale.id} doesn't match its current rating` : null;
     }
 
     /**
-     * Save data to JSON files (local development only)
+     * Run a change against freshly loaded data and save it
+     *
+     * The JSON files are re-read under a write lock, so concurrent requests (or a CLI
+     * script running next to the server) can't interleave or overwrite each other.
+     * @param {Function} mutate - () => { changed, result }; changes this.matches, this.ratings and this.history
+     * @returns {Promise<*>} The `result` from `mutate`
      */
-    saveData() {
+    async write(mutate) {
         if (this.isVercel) {
             // In Vercel, data is stored in-memory only
-            console.log('Data saved to in-memory storage');
-            return;
+            return mutate().result;
         }
         
-        try {
-            fs.writeFileSync(this.matchesFile, JSON.stringify(this.matches, null, 2));
-            fs.writeFileSync(this.ratingsFile, JSON.stringify(this.ratings, null, 2));
-        } catch (err) {
-            console.error('Error saving data:', err.message);
-            throw err;
-        }
+        return this.store.withLock(data => {
+            this.setData(data.matches, data.ratings, data.history);
+            return mutate();
+        });
     }
 
     /**
@@ -142,65 +206,90 @@ class FootballDatabase {
         try {
             const { 
                 id, homeTeam, awayTeam, homeScore, awayScore, 
-                date, status, competition, goals 
+                date, status, competition, competitionCode = null, stage = null, matchday = null, goals, events,
+                duration = 'REGULAR', extraTime = null, penalties = null, source = null 
             } = matchData;
             
             const { 
-                totalScore, breakdown, rating 
+                totalScore, breakdown, rating, profile = 'default' 
             } = ratingData;
+            
+            const dataConfidence = matchData.dataConfidence || ratingData.confidence || 'full';
+            const home = this.resolveTeam(homeTeam, matchData.homeTeamId);
+            const away = this.resolveTeam(awayTeam, matchData.awayTeamId);
 
             console.log(`💾 Saving match to database: ${homeTeam} vs ${awayTeam}`);
             console.log(`💾 Match data:`, { id, homeTeam, awayTeam, competition });
             console.log(`💾 Rating data:`, { totalScore, breakdown, rating });
 
-            // Check if match already exists
-            const existingMatch = this.matches.find(m => m.api_id === id);
+            return await this.write(() => {
+                // Check if match already exists
+                const existingMatch = this.matches.find(m => m.api_id === id);
             
-            if (existingMatch) {
-                console.log(`💾 Match already exists with ID: ${existingMatch.id}, skipping insert`);
-                return existingMatch.id;
-            }
+                if (existingMatch) {
+                    // Upsert: corrections (and late goal details) update the stored match
+                    const { updates, changes, rerate } = this.diffMatch(existingMatch, matchData, dataConfidence);
+                    
+                    if (Object.keys(changes).length === 0) {
+                        console.log(`💾 Match already exists with ID: ${existingMatch.id}, nothing changed`);
+                        return { changed: false, result: existingMatch.id };
+                    }
+                    
+                    console.log(`✏️ Correcting match ID ${existingMatch.id}: ${Object.keys(changes).join(', ')}${rerate ? ', re-rating' : ''}`);
+                    
+                    const historyRow = this.buildHistoryRow(existingMatch, changes);
+                    Object.assign(existingMatch, updates);
+                    historyRow.rating_id = rerate ? this.appendRating(existingMatch, ratingData) : null;
+                    this.history.push({ id: this.nextHistoryId++, ...historyRow });
+                    
+                    return { changed: true, result: existingMatch.id };
+                }
             
-            // Create new match
-            const newMatch = {
-                id: this.nextMatchId++,
-                api_id: id,
-                home_team: homeTeam,
-                away_team: awayTeam,
-                home_score: homeScore,
-                away_score: awayScore,
-                date: date,
-                status: status,
-                competition: competition,
-                goals: JSON.stringify(goals || []),
-                watchability_score: totalScore,
-                rating_category: rating,
-                created_at: new Date().toISOString()
-            };
-
-            // Create new rating
-            const newRating = {
-                id: this.nextRatingId++,
-                match_id: newMatch.id,
-                goal_volume_score: breakdown.goalVolume,
-                goal_timing_score: breakdown.goalTiming,
-                goal_distribution_score: breakdown.goalDistribution,
-                total_score: totalScore,
-                rating_category: rating,
-                created_at: new Date().toISOString()
-            };
+                // Create new match
+                const newMatch = {
+                    id: this.nextMatchId++,
+                    api_id: id,
+                    home_team: home.name,
+                    away_team: away.name,
+                    home_team_id: home.id,
+                    away_team_id: away.id,
+                    home_score: homeScore,
+                    away_score: awayScore,
+                    date: date,
+                    status: status,
+                    competition: competition,
+                    competition_code: competitionCode,
+                    stage: stage,
+                    matchday: matchday,
+                    duration: duration,
+                    extra_time: extraTime,
+                    penalties: penalties,
+                    goals: JSON.stringify(goals || []),
+                    events: JSON.stringify(events || []),
+                    data_confidence: dataConfidence,
+                    source: source,
+                    watchability_score: totalScore,
+                    rating_category: rating,
+                    rating_profile: profile,
+                    engine_version: ratingData.engineVersion || null,
+                    created_at: new Date().toISOString()
+                };
 
-            // Add to arrays
-            this.matches.push(newMatch);
-            this.ratings.push(newRating);
+                // Create new rating
+                const newRating = {
+                    id: this.nextRatingId++,
+                    ...this.buildRatingRow(newMatch.id, ratingData)
+                };
 
-            // Save to files
-            this.saveData();
+                // Add to arrays
+                this.matches.push(newMatch);
+                this.ratings.push(newRating);
 
-            console.log(`💾 Match inserted with ID: ${newMatch.id}`);
-            console.log(`💾 Rating inserted successfully for match ID: ${newMatch.id}`);
+                console.log(`💾 Match inserted with ID: ${newMatch.id}`);
+                console.log(`💾 Rating inserted successfully for match ID: ${newMatch.id}`);
             
-            return newMatch.id;
+                return { changed: true, result: newMatch.id };
+            });
         } catch (err) {
             console.error('❌ Error saving match:', err);
             throw err;
@@ -208,204 +297,610 @@ class FootballDatabase {
     }
 
     /**
-     * Get all matches with ratings
+     * Canonical name and registry ID for a team in an incoming match (unknown teams keep their name)
      */
-    async getAllMatches() {
-        try {
-            // Reload data from files to ensure we have latest (important for serverless)
-            if (!this.isVercel) {
-                this.loadData();
+    resolveTeam(name, teamId) {
+        const team = (teamId && this.teams.getTeam(teamId)) || this.teams.resolve(name);
+        return { name: team ? team.name : name, id: team ? team.id : null };
+    }
+
+    /**
+     * Registry ID of a stored match's home or away team (rows from before the registry are resolved by name)
+     */
+    getTeamId(match, side) {
+        return match[`${side}_team_id`] || this.teams.resolve(match[`${side}_team`])?.id || null;
+    }
+
+    /**
+     * Build a rating row (without its ID) from engine output
+     */
+    buildRatingRow(matchId, ratingData) {
+        const { 
+            totalScore, breakdown, rating, profile = 'default', engineVersion, explanation, timeline 
+        } = ratingData;
+        
+        return {
+            match_id: matchId,
+            goal_volume_score: breakdown.goalVolume,
+            goal_timing_score: breakdown.goalTiming,
+            goal_distribution_score: breakdown.goalDistribution,
+            drama_score: breakdown.drama || 0,
+            shootout_score: breakdown.shootout || 0,
+            closeness_score: breakdown.closeness || 0,
+            total_score: totalScore,
+            rating_category: rating,
+            profile: profile,
+            engine_version: engineVersion || null,
+            explanation: explanation || null,
+            timeline: timeline || null,
+            created_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Work out what an incoming copy of a stored match corrects
+     *
+     * Score fields (scores, duration, extra time, penalties) and goal details are rating
+     * inputs, so changing any of them means a re-rate. Goal details that are worse than
+     * what's stored (placeholders in place of real goals) are ignored while the score is
+     * unchanged, so a later list fetch can't undo a details fetch.
+     * @returns {Object} { updates: stored column values, changes: { field: { from, to } }, rerate }
+     */
+    diffMatch(existing, matchData, dataConfidence) {
+        const incoming = {
+            home_score: matchData.homeScore,
+            away_score: matchData.awayScore,
+            duration: matchData.duration || 'REGULAR',
+            extra_time: matchData.extraTime || null,
+            penalties: matchData.penalties || null,
+            goals: JSON.stringify(matchData.goals || []),
+            events: JSON.stringify(matchData.events || []),
+            data_confidence: dataConfidence,
+            status: matchData.status,
+            stage: matchData.stage || null,
+            matchday: matchData.matchday ?? null
+        };
+        const stored = {
+            ...existing,
+            duration: existing.duration || 'REGULAR',
+            extra_time: existing.extra_time || null,
+            penalties: existing.penalties || null,
+            goals: existing.goals || '[]',
+            events: existing.events || '[]',
+            data_confidence: this.getDataConfidence(existing),
+            stage: existing.stage || null,
+            matchday: existing.matchday ?? null
+        };
+        const differs = column => JSON.stringify(stored[column] ?? null) !== JSON.stringify(incoming[column] ?? null);
+        
+        const scoreChanged = SCORE_COLUMNS.some(differs);
+        const worseGoalData = dataConfidence !== 'full' && stored.data_confidence === 'full';
+        const rerate = scoreChanged || (!worseGoalData && GOAL_COLUMNS.some(differs));
+        
+        const columns = [
+            ...(rerate ? [...SCORE_COLUMNS, ...GOAL_COLUMNS, 'data_confidence'] : []),
+            'status',
+            'stage',
+            'matchday'
+        ].filter(differs);
+        
+        // Goals and events are stored as JSON text; the audit trail keeps them readable
+        const readable = (column, value) => (GOAL_COLUMNS.includes(column) ? JSON.parse(value) : value ?? null);
+        
+        return {
+            updates: Object.fromEntries(columns.map(column => [column, incoming[column]])),
+            changes: Object.fromEntries(columns.map(column => [
+                CORRECTABLE_FIELDS[column],
+                { from: readable(column, stored[column]), to: readable(column, incoming[column]) }
+            ])),
+            rerate
+        };
+    }
+
+    /**
+     * Build an audit trail row (without its ID) for a correction, before it's applied
+     * The caller fills in rating_id with the new rating row, or null when there was no re-rate
+     */
+    buildHistoryRow(existing, changes) {
+        return {
+            match_id: existing.id,
+            changed_at: new Date().toISOString(),
+            changes,
+            previous_rating: existing.watchability_score === null || existing.watchability_score === undefined ? null : {
+                rating_id: this.getCurrentRating(existing.id)?.id ?? null,
+                total_score: existing.watchability_score,
+                rating_category: existing.rating_category,
+                profile: existing.rating_profile || 'default',
+                engine_version: existing.engine_version || LEGACY_ENGINE_VERSION
+            },
+            rating_id: null
+        };
+    }
+
+    /**
+     * Turn a stored match, its rating rows and its audit trail into the history response
+     */
+    formatMatchHistory(match, ratingRows, historyRows) {
+        const rating = row => ({
+            id: row.id,
+            totalScore: row.total_score,
+            category: row.rating_category,
+            profile: row.profile || 'default',
+            engineVersion: row.engine_version || LEGACY_ENGINE_VERSION,
+            createdAt: row.created_at
+        });
+        const ratingsById = new Map(ratingRows.map(row => [row.id, rating(row)]));
+        
+        return {
+            id: match.id,
+            apiId: match.api_id,
+            homeTeam: match.home_team,
+            awayTeam: match.away_team,
+            date: match.date,
+            competition: match.competition,
+            corrections: historyRows.map(row => ({
+                id: row.id,
+                changedAt: row.changed_at,
+                changes: row.changes,
+                previousRating: row.previous_rating ? {
+                    ratingId: row.previous_rating.rating_id,
+                    totalScore: row.previous_rating.total_score,
+                    category: row.previous_rating.rating_category,
+                    profile: row.previous_rating.profile,
+                    engineVersion: row.previous_rating.engine_version
+                } : null,
+                newRating: ratingsById.get(row.rating_id) || null
+            })),
+            ratings: Array.from(ratingsById.values())
+        };
+    }
+
+    /**
+     * Get a stored match's corrections and rating history, or null when it doesn't exist
+     */
+    async getMatchHistory(matchId) {
+        if (!this.isVercel) {
+            this.loadData();
+        }
+        
+        const match = this.matches.find(m => m.id === matchId);
+        if (!match) {
+            return null;
+        }
+        
+        const historyRows = this.history
+            .filter(h => h.match_id === matchId)
+            .sort((a, b) => a.id - b.id);
+        return this.formatMatchHistory(match, this.getRatingRows(matchId), historyRows);
+    }
+
+    /**
+     * Get a stored provider match in the API match shape, or null when it isn't stored
+     */
+    async getMatch(apiId) {
+        if (!this.isVercel) {
+            this.loadData();
+        }
+        
+        const match = this.getMatchByApiId(apiId);
+        return match ? this.formatMatchRow(match, this.getCurrentRating(match.id)) : null;
+    }
+
+    /**
+     * Add a new current rating for a stored match
+     * Earlier rating rows are kept as history, never overwritten
+     */
+    async addRating(matchId, ratingData) {
+        return this.write(() => {
+            const match = this.matches.find(m => m.id === matchId);
+            
+            if (!match) {
+                throw new Error(`Match not found: ${matchId}`);
             }
             
-            console.log('🔍 Executing query to get all matches...');
-            console.log(`🔍 Database has ${this.matches.length} matches in memory`);
-            console.log(`🔍 Database has ${this.ratings.length} ratings in memory`);
+            return { changed: true, result: this.appendRating(match, ratingData) };
+        });
+    }
+
+    /**
+     * Add a rating row to a match in memory (callers save it)
+     */
+    appendRating(match, ratingData) {
+        const newRating = {
+            id: this.nextRatingId++,
+            ...this.buildRatingRow(match.id, ratingData)
+        };
+        
+        Object.assign(match, {
+            watchability_score: ratingData.totalScore,
+            rating_category: ratingData.rating,
+            rating_profile: ratingData.profile || 'default',
+            engine_version: ratingData.engineVersion || null
+        });
+        
+        this.ratings.push(newRating);
+        
+        console.log(`💾 Rating ${newRating.id} added for match ID: ${match.id} (${ratingData.totalScore}/100)`);
+        return newRating.id;
+    }
+
+    /**
+     * Check whether a provider match is already stored
+     */
+    hasMatch(apiId) {
+        return this.matches.some(m => m.api_id === apiId);
+    }
+
+    /**
+     * Get the stored row for a provider match, or null
+     */
+    getMatchByApiId(apiId) {
+        return this.matches.find(m => m.api_id === apiId) || null;
+    }
+
+    /**
+     * Get the current rating row for a match (the most recent one)
+     */
+    getCurrentRating(matchId) {
+        return this.getRatingRows(matchId).pop();
+    }
+
+    /**
+     * Current rating rows for a set of matches, keyed by match ID (one pass over the ratings)
+     */
+    getCurrentRatings(matchIds) {
+        const wanted = new Set(matchIds);
+        const current = new Map();
+        
+        this.ratings.forEach(rating => {
+            if (!wanted.has(rating.match_id)) return;
+            const latest = current.get(rating.match_id);
+            if (!latest || rating.id > latest.id) current.set(rating.match_id, rating);
+        });
+        return current;
+    }
+
+    /**
+     * Get every rating row for a match, oldest first
+     */
+    getRatingRows(matchId) {
+        return this.ratings
+            .filter(r => r.match_id === matchId)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Re-label stored ratings with the current category registry
+     * Only the category changes - scores stay as they were rated
+     * @returns {Array} Matches whose category changed
+     */
+    async recategorizeMatches({ dryRun = false } = {}) {
+        return this.write(() => {
+            const changed = [];
+            
+            this.matches.forEach(match => {
+                if (match.watchability_score === null || match.watchability_score === undefined) return;
             
-            const processedMatches = this.matches.map(match => {
-                console.log(`🔍 Processing row: ${match.home_team} vs ${match.away_team}, Rating: ${match.watchability_score}`);
-                
-                // Find corresponding rating
-                const rating = this.ratings.find(r => r.match_id === match.id);
-                
-                // Parse goals and recalculate breakdown if needed
-                const goals = JSON.parse(match.goals || '[]');
-                let breakdown = {
-                    goalVolume: rating?.goal_volume_score || 0,
-                    goalTiming: rating?.goal_timing_score || 0,
-                    goalDistribution: rating?.goal_distribution_score || 0
-                };
-                
-                // Use stored breakdown data - don't recalculate
-                
-                // Handle rating data
-                const ratingData = (match.watchability_score !== null || match.rating_category !== null) ? {
-                    totalScore: match.watchability_score || 0,
-                    breakdown: breakdown,
-                    category: match.rating_category || 'Unknown'
-                } : null;
-                
-                return {
+                const category = this.categories.getCategory(match.watchability_score).name;
+                if (category === match.rating_category) return;
+            
+                changed.push({
                     id: match.id,
-                    apiId: match.api_id,
-                    homeTeam: match.home_team,
-                    awayTeam: match.away_team,
-                    homeScore: match.home_score,
-                    awayScore: match.away_score,
-                    date: match.date,
-                    status: match.status,
-                    competition: match.competition,
-                    goals: JSON.parse(match.goals || '[]'),
-                    rating: ratingData
-                };
-            });
+                    match: `${match.home_team} vs ${match.away_team}`,
+                    score: match.watchability_score,
+                    oldCategory: match.rating_category,
+                    newCategory: category
+                });
             
-            // Sort by date descending
-            processedMatches.sort((a, b) => new Date(b.date) - new Date(a.date));
+                if (!dryRun) {
+                    match.rating_category = category;
+                    const currentRating = this.getCurrentRating(match.id);
+                    if (currentRating) {
+                        currentRating.rating_category = category;
+                    }
+                }
+            });
             
-            console.log(`🔍 Processed ${processedMatches.length} matches for API response`);
-            return processedMatches;
-        } catch (err) {
-            console.error('❌ Database query error:', err);
-            throw err;
+            console.log(`🏷️ ${changed.length} matches ${dryRun ? 'would be' : 'were'} re-categorized`);
+            return { changed: !dryRun && changed.length > 0, result: changed };
+        });
+    }
+
+    /**
+     * Work out the data confidence of a stored match
+     * Matches stored before confidence was tracked got random goal minutes with unknown scorers
+     */
+    getDataConfidence(match) {
+        if (match.data_confidence) return match.data_confidence;
+        
+        const goals = JSON.parse(match.goals || '[]');
+        return goals.length > 0 && goals.every(goal => goal.scorer === 'Unknown') ? 'synthesized' : 'full';
+    }
+
+    /**
+     * Turn a stored match row and its current rating row into the API match shape
+     */
+    formatMatchRow(match, rating) {
+        const breakdown = {
+            goalVolume: rating?.goal_volume_score || 0,
+            goalTiming: rating?.goal_timing_score || 0,
+            goalDistribution: rating?.goal_distribution_score || 0,
+            drama: rating?.drama_score || 0,
+            shootout: rating?.shootout_score || 0,
+            closeness: rating?.closeness_score || 0
+        };
+        
+        // Use stored breakdown data - don't recalculate
+        const ratingData = (match.watchability_score !== null || match.rating_category !== null) ? {
+            totalScore: match.watchability_score || 0,
+            breakdown: breakdown,
+            category: match.rating_category || 'Unknown',
+            categorySlug: this.categories.getCategoryByName(match.rating_category).slug,
+            profile: rating?.profile || match.rating_profile || 'default',
+            engineVersion: rating?.engine_version || match.engine_version || LEGACY_ENGINE_VERSION,
+            explanation: rating?.explanation || null,
+            timeline: rating?.timeline || null
+        } : null;
+        
+        return {
+            id: match.id,
+            apiId: match.api_id,
+            homeTeam: match.home_team,
+            awayTeam: match.away_team,
+            homeTeamId: this.getTeamId(match, 'home'),
+            awayTeamId: this.getTeamId(match, 'away'),
+            homeScore: match.home_score,
+            awayScore: match.away_score,
+            date: match.date,
+            status: match.status,
+            competition: match.competition,
+            competitionCode: match.competition_code || this.competitions.resolve(match.competition)?.code || null,
+            source: match.source || 'football-data',
+            stage: match.stage || null,
+            matchday: match.matchday ?? null,
+            duration: match.duration || 'REGULAR',
+            extraTime: match.extra_time || null,
+            penalties: match.penalties || null,
+            goals: JSON.parse(match.goals || '[]'),
+            events: JSON.parse(match.events || '[]'),
+            dataConfidence: this.getDataConfidence(match),
+            rating: ratingData
+        };
+    }
+
+    /**
+     * Validate match query parameters (as they arrive in a query string) and fill in defaults
+     * @param {Object} params - team, competition, dateFrom, dateTo, minScore, maxScore, category,
+     *                          status, confidence, sort (date|score), order (asc|desc), limit, offset, cursor
+     * @returns {Object} Query for queryMatches
+     * @throws {Error} When a parameter is invalid
+     */
+    resolveQuery(params = {}) {
+        const text = value => (value === undefined || value === null ? '' : String(value).trim());
+        const number = (name, min, max) => {
+            if (text(params[name]) === '') return null;
+            const value = Number(params[name]);
+            if (!Number.isFinite(value) || value < min || value > max) {
+                throw new Error(`${name} must be a number from ${min} to ${max}`);
+            }
+            return value;
+        };
+        const date = (name, endOfDay) => {
+            const value = text(params[name]);
+            if (value === '') return null;
+            if (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(new Date(value).getTime())) {
+                throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+            }
+            // Stored dates are ISO strings, so a bare date covers the whole day
+            return value.length === 10 && endOfDay ? `${value}T23:59:59.999Z` : value;
+        };
+        
+        const sort = text(params.sort).toLowerCase() || 'date';
+        if (!SORT_FIELDS.includes(sort)) {
+            throw new Error(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+        }
+        const order = text(params.order).toLowerCase() || 'desc';
+        if (!SORT_ORDERS.includes(order)) {
+            throw new Error(`order must be one of ${SORT_ORDERS.join(', ')}`);
+        }
+        
+        let category = null;
+        if (text(params.category)) {
+            const wanted = text(params.category).toLowerCase();
+            const match = this.categories.listCategories()
+                .find(c => c.name.toLowerCase() === wanted || c.slug === wanted);
+            if (!match) {
+                throw new Error(`Unknown category: ${params.category}`);
+            }
+            category = match.name;
+        }
+        
+        const confidence = text(params.confidence).toLowerCase() || null;
+        if (confidence && !CONFIDENCE_LEVELS.includes(confidence)) {
+            throw new Error(`confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+        }
+        
+        let cursor = null;
+        if (text(params.cursor)) {
+            try {
+                cursor = JSON.parse(Buffer.from(text(params.cursor), 'base64url').toString('utf8'));
+            } catch (err) {
+                cursor = null;
+            }
+            if (!cursor || cursor.sort !== sort || cursor.order !== order || typeof cursor.id !== 'number') {
+                throw new Error('cursor is invalid or belongs to a different sort order');
+            }
         }
+        
+        const competition = text(params.competition);
+        const team = text(params.team);
+        const registeredTeam = team ? this.teams.resolve(team) : null;
+        const query = {
+            // A registry team (by ID, name or alias) matches on team ID; anything else is a name search
+            team: team ? {
+                text: team.toLowerCase(),
+                registered: registeredTeam,
+                names: registeredTeam ? this.teams.getNames(registeredTeam).map(name => name.toLowerCase()) : []
+            } : null,
+            competition: competition ? { name: competition, registered: this.competitions.resolve(competition) } : null,
+            dateFrom: date('dateFrom', false),
+            dateTo: date('dateTo', true),
+            minScore: number('minScore', 0, 100),
+            maxScore: number('maxScore', 0, 100),
+            category,
+            status: text(params.status).toUpperCase() || null,
+            confidence,
+            sort,
+            order,
+            limit: number('limit', 1, MAX_PAGE_SIZE) ?? DEFAULT_PAGE_SIZE,
+            offset: cursor ? 0 : number('offset', 0, Number.MAX_SAFE_INTEGER) ?? 0,
+            cursor
+        };
+        
+        if (query.minScore !== null && query.maxScore !== null && query.minScore > query.maxScore) {
+            throw new Error('minScore must not be above maxScore');
+        }
+        if (query.dateFrom && query.dateTo && query.dateFrom > query.dateTo) {
+            throw new Error('dateFrom must not be after dateTo');
+        }
+        
+        return query;
     }
 
     /**
-     * Get matches by competition
+     * Opaque cursor pointing just past a match in the given sort order
      */
-    async getMatchesByCompetition(competition) {
+    encodeCursor(query, key, id) {
+        return Buffer.from(JSON.stringify({ sort: query.sort, order: query.order, key, id })).toString('base64url');
+    }
+
+    /**
+     * Wrap a page of formatted matches with its paging details
+     * @param {Array} rows - Stored rows for the page, plus one extra when there are more
+     * @param {number} total - Matches passing the filters, across every page
+     * @param {Function} formatRows - rows => matches in the API shape
+     */
+    buildPage(query, rows, total, formatRows) {
+        const hasMore = query.limit !== null && rows.length > query.limit;
+        const pageRows = hasMore ? rows.slice(0, query.limit) : rows;
+        const last = pageRows[pageRows.length - 1];
+        
+        return {
+            matches: formatRows(pageRows),
+            pagination: {
+                total,
+                limit: query.limit,
+                offset: query.cursor ? null : query.offset,
+                hasMore,
+                nextCursor: hasMore ? this.encodeCursor(query, this.getSortKey(query, last), last.id) : null
+            }
+        };
+    }
+
+    /**
+     * The value a stored row sorts on (unrated matches sort below every score)
+     */
+    getSortKey(query, match) {
+        return query.sort === 'score' ? match.watchability_score ?? -1 : match.date;
+    }
+
+    /**
+     * Whether a query's team played in a stored match
+     */
+    isTeamInMatch(match, team) {
+        if (!team.registered) {
+            return match.home_team.toLowerCase().includes(team.text) || match.away_team.toLowerCase().includes(team.text);
+        }
+        
+        return ['home', 'away'].some(side => match[`${side}_team_id`] === team.registered.id
+            || team.names.includes(match[`${side}_team`].toLowerCase()));
+    }
+
+    /**
+     * Whether a stored match passes a query's filters
+     */
+    matchesQuery(match, query) {
+        const score = match.watchability_score;
+        const { competition } = query;
+        
+        if (query.team && !this.isTeamInMatch(match, query.team)) return false;
+        // Registry code, display name or alias; anything else must match exactly
+        if (competition && (competition.registered ?
+            match.competition_code !== competition.registered.code
+                && !this.competitions.isMatchInCompetition(competition.registered, match.competition) :
+            match.competition !== competition.name)) return false;
+        if (query.dateFrom && match.date < query.dateFrom) return false;
+        if (query.dateTo && match.date > query.dateTo) return false;
+        if (query.minScore !== null && (score === null || score === undefined || score < query.minScore)) return false;
+        if (query.maxScore !== null && (score === null || score === undefined || score > query.maxScore)) return false;
+        if (query.category && match.rating_category !== query.category) return false;
+        if (query.status && match.status !== query.status) return false;
+        if (query.confidence && this.getDataConfidence(match) !== query.confidence) return false;
+        return true;
+    }
+
+    /**
+     * Filter, sort and page stored matches
+     * @param {Object} query - From resolveQuery; limit null returns every match
+     * @returns {Object} { matches, pagination: { total, limit, offset, hasMore, nextCursor } }
+     */
+    async queryMatches(query = this.resolveQuery()) {
         try {
             // Reload data from files to ensure we have latest (important for serverless)
             if (!this.isVercel) {
                 this.loadData();
             }
             
-            console.log('🔍 Executing query to get matches by competition...');
+            console.log('🔍 Executing match query...');
             
-            let filteredMatches = this.matches;
+            const direction = query.order === 'asc' ? 1 : -1;
+            const compare = (a, b) => {
+                const keyA = this.getSortKey(query, a);
+                const keyB = this.getSortKey(query, b);
+                return direction * (keyA < keyB ? -1 : keyA > keyB ? 1 : a.id - b.id);
+            };
             
-            // Handle different competition name variations
-            if (competition === 'Champions League') {
-                filteredMatches = this.matches.filter(m => m.competition.includes('Champions League'));
-            } else if (competition === 'Premier League') {
-                filteredMatches = this.matches.filter(m => m.competition.includes('Premier League'));
-            } else {
-                filteredMatches = this.matches.filter(m => m.competition === competition);
+            const filtered = this.matches.filter(match => this.matchesQuery(match, query)).sort(compare);
+            
+            // A cursor continues after the last match of the previous page
+            let rows = filtered;
+            if (query.cursor) {
+                const after = { id: query.cursor.id, date: query.cursor.key, watchability_score: query.cursor.key };
+                rows = filtered.filter(match => compare(match, after) > 0);
             }
+            rows = query.limit === null ? rows.slice(query.offset) : rows.slice(query.offset, query.offset + query.limit + 1);
             
-            console.log(`🔍 Database returned ${filteredMatches.length} raw rows for ${competition}`);
+            console.log(`🔍 Query matched ${filtered.length} matches`);
             
-            const processedMatches = filteredMatches.map(match => {
-                console.log(`🔍 Processing row: ${match.home_team} vs ${match.away_team}, Rating: ${match.watchability_score}`);
-                
-                // Find corresponding rating
-                const rating = this.ratings.find(r => r.match_id === match.id);
-                
-                // Parse goals and recalculate breakdown if needed
-                const goals = JSON.parse(match.goals || '[]');
-                let breakdown = {
-                    goalVolume: rating?.goal_volume_score || 0,
-                    goalTiming: rating?.goal_timing_score || 0,
-                    goalDistribution: rating?.goal_distribution_score || 0
-                };
-                
-                // Use stored breakdown data - don't recalculate
-                
-                // Handle rating data
-                const ratingData = (match.watchability_score !== null || match.rating_category !== null) ? {
-                    totalScore: match.watchability_score || 0,
-                    breakdown: breakdown,
-                    category: match.rating_category || 'Unknown'
-                } : null;
-                
-                return {
-                    id: match.id,
-                    apiId: match.api_id,
-                    homeTeam: match.home_team,
-                    awayTeam: match.away_team,
-                    homeScore: match.home_score,
-                    awayScore: match.away_score,
-                    date: match.date,
-                    status: match.status,
-                    competition: match.competition,
-                    goals: JSON.parse(match.goals || '[]'),
-                    rating: ratingData
-                };
+            return this.buildPage(query, rows, filtered.length, pageRows => {
+                const ratings = this.getCurrentRatings(pageRows.map(match => match.id));
+                return pageRows.map(match => this.formatMatchRow(match, ratings.get(match.id)));
             });
-            
-            // Sort by date descending
-            processedMatches.sort((a, b) => new Date(b.date) - new Date(a.date));
-            
-            console.log(`🔍 Processed ${processedMatches.length} matches for ${competition}`);
-            return processedMatches;
         } catch (err) {
             console.error('❌ Database query error:', err);
             throw err;
         }
     }
 
+    /**
+     * Get all matches with ratings, newest first
+     */
+    async getAllMatches() {
+        return (await this.queryMatches({ ...this.resolveQuery(), limit: null })).matches;
+    }
+
+    /**
+     * Get matches by competition (registry code, display name or alias; anything else must match exactly)
+     */
+    async getMatchesByCompetition(competition) {
+        return (await this.queryMatches({ ...this.resolveQuery({ competition }), limit: null })).matches;
+    }
+
     /**
      * Get top rated matches
      */
     async getTopRatedMatches(limit = 10) {
-        try {
-            // Reload data from files to ensure we have latest (important for serverless)
-            if (!this.isVercel) {
-                this.loadData();
-            }
-            
-            console.log('🔍 Executing query to get top rated matches...');
-            
-            // Sort matches by watchability score descending
-            const sortedMatches = [...this.matches].sort((a, b) => (b.watchability_score || 0) - (a.watchability_score || 0));
-            const topMatches = sortedMatches.slice(0, limit);
-            
-            console.log(`🔍 Database returned ${topMatches.length} raw rows for top rated`);
-            
-            const processedMatches = topMatches.map(match => {
-                console.log(`🔍 Processing row: ${match.home_team} vs ${match.away_team}, Rating: ${match.watchability_score}`);
-                
-                // Find corresponding rating
-                const rating = this.ratings.find(r => r.match_id === match.id);
-                
-                // Parse goals and recalculate breakdown if needed
-                const goals = JSON.parse(match.goals || '[]');
-                let breakdown = {
-                    goalVolume: rating?.goal_volume_score || 0,
-                    goalTiming: rating?.goal_timing_score || 0,
-                    goalDistribution: rating?.goal_distribution_score || 0
-                };
-                
-                // Use stored breakdown data - don't recalculate
-                
-                // Handle rating data
-                const ratingData = (match.watchability_score !== null || match.rating_category !== null) ? {
-                    totalScore: match.watchability_score || 0,
-                    breakdown: breakdown,
-                    category: match.rating_category || 'Unknown'
-                } : null;
-                
-                return {
-                    id: match.id,
-                    apiId: match.api_id,
-                    homeTeam: match.home_team,
-                    awayTeam: match.away_team,
-                    homeScore: match.home_score,
-                    awayScore: match.away_score,
-                    date: match.date,
-                    status: match.status,
-                    competition: match.competition,
-                    goals: JSON.parse(match.goals || '[]'),
-                    rating: ratingData
-                };
-            });
-            
-            console.log(`🔍 Processed ${processedMatches.length} top rated matches`);
-            return processedMatches;
-        } catch (err) {
-            console.error('❌ Database query error:', err);
-            throw err;
-        }
+        return (await this.queryMatches({ ...this.resolveQuery({ sort: 'score' }), limit })).matches;
     }
 
     /**
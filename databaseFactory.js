@@ -0,0 +1,28 @@
+const FootballDatabase = require('./database');
+const SqliteFootballDatabase = require('./sqliteDatabase');
+
+// Storage backends - everything else only ever sees the FootballDatabase interface
+const BACKENDS = {
+    'json': FootballDatabase,
+    'sqlite': SqliteFootballDatabase
+};
+
+/**
+ * Create the configured storage backend (DATABASE_BACKEND, default json)
+ * @param {RatingCategories} categories - Category registry used to label stored ratings
+ * @param {CompetitionRegistry} competitions - Competition registry used to filter by competition
+ * @param {TeamRegistry} teams - Team registry used to store canonical team names and IDs
+ * @param {string} backend - Backend name
+ */
+function createDatabase(categories, competitions, teams, backend = process.env.DATABASE_BACKEND || 'json') {
+    const Database = BACKENDS[backend];
+
+    if (!Database) {
+        throw new Error(`Unknown database backend: ${backend} (available: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    console.log(`🗄️ Using ${backend} database backend`);
+    return new Database(categories, competitions, teams);
+}
+
+module.exports = { createDatabase, BACKENDS };
@@ -0,0 +1,136 @@
+const RatingCategories = require('./ratingCategories');
+
+// A fixture is historically a banger when its meetings average this category or better...
+const BANGER_CATEGORY = 'really-good';
+// ...over at least this many meetings
+const BANGER_MIN_MEETINGS = 2;
+
+// A fixture tends to be tight when this share of its meetings ended level or one goal apart
+const TIGHT_SHARE = 0.6;
+
+/**
+ * Entertainment history of a fixture: every stored meeting between two teams, either way round
+ */
+class HeadToHead {
+    /**
+     * @param {RatingCategories} categories - Category registry, for the banger threshold
+     */
+    constructor(categories = new RatingCategories()) {
+        this.categories = categories;
+        const bangerCategory = categories.listCategories().find(category => category.slug === BANGER_CATEGORY);
+        this.bangerMinScore = bangerCategory ? bangerCategory.min : 60;
+    }
+
+    /**
+     * Identifies a side: its registry ID, or its name for teams outside the registry
+     */
+    getSideKey(name, teamId) {
+        return teamId || String(name).toLowerCase();
+    }
+
+    /**
+     * Same key for a fixture whichever team is at home
+     */
+    getFixtureKey(match) {
+        return [
+            this.getSideKey(match.homeTeam, match.homeTeamId),
+            this.getSideKey(match.awayTeam, match.awayTeamId)
+        ].sort().join('|');
+    }
+
+    /**
+     * Whether a stored match is a meeting of the two teams
+     */
+    isMeeting(match, teamA, teamB) {
+        const sides = [match.homeTeamId, match.awayTeamId];
+        return sides.includes(teamA.id) && sides.includes(teamB.id);
+    }
+
+    /**
+     * Summarize the meetings of two teams
+     * @param {Object} teamA - Registry team
+     * @param {Object} teamB - Registry team
+     * @param {Array} matches - Stored matches involving either team
+     */
+    build(teamA, teamB, matches) {
+        const meetings = matches
+            .filter(match => this.isMeeting(match, teamA, teamB))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        return {
+            teamA: { id: teamA.id, name: teamA.name },
+            teamB: { id: teamB.id, name: teamB.name },
+            ...this.summarize(meetings),
+            matches: meetings
+        };
+    }
+
+    /**
+     * Entertainment figures for a set of meetings
+     */
+    summarize(meetings) {
+        const rated = meetings.filter(match => match.rating && typeof match.rating.totalScore === 'number');
+        const averageScore = rated.length > 0
+            ? Math.round(rated.reduce((sum, match) => sum + match.rating.totalScore, 0) / rated.length * 10) / 10
+            : null;
+        const highest = rated.reduce((best, match) => (!best || match.rating.totalScore > best.rating.totalScore ? match : best), null);
+        const margins = meetings.map(match => Math.abs(match.homeScore - match.awayScore));
+        const tightShare = margins.length > 0 ? margins.filter(margin => margin <= 1).length / margins.length : null;
+        const category = averageScore === null ? null : this.categories.getCategory(averageScore);
+
+        return {
+            meetings: meetings.length,
+            averageScore,
+            averageCategory: category ? category.name : null,
+            averageCategorySlug: category ? category.slug : null,
+            highestRated: highest ? {
+                id: highest.id,
+                date: highest.date,
+                competition: highest.competition,
+                homeTeam: highest.homeTeam,
+                awayTeam: highest.awayTeam,
+                totalScore: highest.rating.totalScore,
+                category: highest.rating.category
+            } : null,
+            tight: {
+                tendsToBeTight: tightShare !== null && tightShare >= TIGHT_SHARE,
+                share: tightShare === null ? null : Math.round(tightShare * 100) / 100,
+                averageGoalMargin: margins.length > 0
+                    ? Math.round(margins.reduce((sum, margin) => sum + margin, 0) / margins.length * 10) / 10
+                    : null
+            },
+            banger: rated.length >= BANGER_MIN_MEETINGS && averageScore >= this.bangerMinScore
+        };
+    }
+
+    /**
+     * Every fixture that's historically a banger, best first, for flagging match cards
+     * (the UI builds the same fixture key from a card's team IDs and names)
+     * @param {Array} matches - All stored matches
+     */
+    listBangers(matches) {
+        const fixtures = new Map();
+        matches.forEach(match => {
+            const key = this.getFixtureKey(match);
+            if (!fixtures.has(key)) fixtures.set(key, []);
+            fixtures.get(key).push(match);
+        });
+
+        return [...fixtures.entries()]
+            .map(([key, meetings]) => ({ key, meetings, summary: this.summarize(meetings) }))
+            .filter(fixture => fixture.summary.banger)
+            .map(({ key, meetings, summary }) => ({
+                key,
+                teams: [meetings[0].homeTeam, meetings[0].awayTeam].sort(),
+                meetings: summary.meetings,
+                averageScore: summary.averageScore,
+                averageCategory: summary.averageCategory
+            }))
+            .sort((a, b) => b.averageScore - a.averageScore);
+    }
+}
+
+HeadToHead.BANGER_CATEGORY = BANGER_CATEGORY;
+HeadToHead.BANGER_MIN_MEETINGS = BANGER_MIN_MEETINGS;
+
+module.exports = HeadToHead;
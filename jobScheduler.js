@@ -0,0 +1,213 @@
+// Cron fields: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+// Don't look further ahead than this for the next run (covers "29 2 *" style schedules)
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60 * 4;
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "0,30") into the set of values it allows
+ */
+function parseCronField(field, { name, min, max }) {
+    const values = new Set();
+
+    field.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        let [from, to] = range === '*' ? [min, max] : range.split('-').map(value => parseInt(value, 10));
+        if (to === undefined) to = stepText === undefined ? from : max;
+
+        if ([from, to, step].some(isNaN) || step < 1 || from < min || to > max || from > to) {
+            throw new Error(`Invalid cron ${name} field: ${field}`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ */
+function parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error(`Cron expression "${expression}" must have ${CRON_FIELDS.length} fields`);
+    }
+
+    const parsed = {};
+    CRON_FIELDS.forEach((spec, i) => {
+        parsed[spec.name] = parseCronField(fields[i], spec);
+    });
+    // Like cron, day-of-month and day-of-week are OR'ed when both are restricted
+    parsed.anyDayOfMonth = fields[2] === '*';
+    parsed.anyDayOfWeek = fields[4] === '*';
+    return parsed;
+}
+
+/**
+ * Next time (after `from`) a parsed cron schedule fires, in server local time
+ */
+function getNextRun(cron, from = new Date()) {
+    const next = new Date(from.getTime());
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + 1);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+        const dayOfMonthMatches = cron.dayOfMonth.has(next.getDate());
+        const dayOfWeekMatches = cron.dayOfWeek.has(next.getDay());
+        const dayMatches = cron.anyDayOfMonth || cron.anyDayOfWeek ?
+            dayOfMonthMatches && dayOfWeekMatches :
+            dayOfMonthMatches || dayOfWeekMatches;
+
+        if (cron.month.has(next.getMonth() + 1) && dayMatches
+            && cron.hour.has(next.getHours()) && cron.minute.has(next.getMinutes())) {
+            return next;
+        }
+        next.setMinutes(next.getMinutes() + 1);
+    }
+
+    return null;
+}
+
+/**
+ * In-process scheduler for recurring server jobs
+ *
+ * Each job has a cron expression and an async `run` function. A job never overlaps itself:
+ * if it is still running when it comes due again, that run is skipped and counted.
+ */
+class JobScheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Register a job
+     * @param {Object} job
+     * @param {string} job.name - Unique job name
+     * @param {string} job.schedule - Five-field cron expression
+     * @param {Function} job.run - Async function; its resolved value is kept as the last result
+     * @param {string} job.description - Shown by /api/jobs
+     */
+    addJob({ name, schedule, run, description = '' }) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job already registered: ${name}`);
+        }
+
+        const cron = parseCron(schedule);
+        this.jobs.set(name, {
+            name,
+            description,
+            schedule,
+            cron,
+            run,
+            running: false,
+            nextRun: getNextRun(cron),
+            lastRun: null,
+            runs: 0,
+            failures: 0,
+            skipped: 0
+        });
+    }
+
+    /**
+     * Start checking for due jobs
+     */
+    start() {
+        if (this.timer) return;
+
+        const tick = () => {
+            const now = new Date();
+            this.jobs.forEach(job => {
+                if (job.nextRun && job.nextRun <= now) {
+                    job.nextRun = getNextRun(job.cron, now);
+                    this.runJob(job.name).catch(() => {});
+                }
+            });
+        };
+
+        // Check every few seconds; cron resolution is one minute
+        this.timer = setInterval(tick, 5000);
+        this.timer.unref();
+        console.log(`⏰ Job scheduler started with ${this.jobs.size} jobs`);
+    }
+
+    /**
+     * Stop the scheduler (running jobs finish on their own)
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run a job now unless it is already running
+     * @returns {Object} The run record, or { skipped: true } when locked out
+     */
+    async runJob(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        if (job.running) {
+            job.skipped++;
+            console.log(`⏭️ Job ${name} is still running, skipping this run`);
+            return { skipped: true };
+        }
+
+        job.running = true;
+        job.runs++;
+        const record = { startedAt: new Date().toISOString(), finishedAt: null, status: 'running', result: null, error: null };
+        job.lastRun = record;
+        console.log(`⏰ Running job ${name}`);
+
+        try {
+            record.result = await job.run();
+            record.status = 'ok';
+            return record;
+        } catch (error) {
+            job.failures++;
+            record.status = 'failed';
+            record.error = error.message;
+            console.error(`❌ Job ${name} failed:`, error.message);
+            throw error;
+        } finally {
+            record.finishedAt = new Date().toISOString();
+            job.running = false;
+        }
+    }
+
+    /**
+     * Job state for /api/jobs
+     */
+    listJobs() {
+        return Array.from(this.jobs.values()).map(job => ({
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            running: job.running,
+            nextRun: job.nextRun ? job.nextRun.toISOString() : null,
+            lastRun: job.lastRun,
+            runs: job.runs,
+            failures: job.failures,
+            skipped: job.skipped
+        }));
+    }
+}
+
+JobScheduler.parseCron = parseCron;
+JobScheduler.getNextRun = getNextRun;
+
+module.exports = JobScheduler;
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+
+// How long to wait for another process's write lock, and when a lock counts as abandoned
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+
+const DEFAULT_BACKUP_COUNT = 10;
+const DEFAULT_BACKUP_INTERVAL_MINUTES = 60;
+
+/**
+ * Crash-safe storage for a set of JSON files that must stay consistent with each other
+ *
+ * Every file is written to a temp file, flushed and renamed over the old one, so a crash
+ * never leaves half a file behind. Writes are serialized in-process and across processes
+ * (a CLI backfill next to the server) with a lock file. Before the first write of a
+ * session, and then at most once per interval, the current files are copied into a
+ * timestamped backup; the oldest backups are rotated out.
+ *
+ * If the files don't parse or fail the caller's consistency check, leftover temp files
+ * from an interrupted write are tried first, then the backups, newest first. Only a read
+ * under the write lock puts the recovered copy back on disk (keeping the bad files in the
+ * backup directory); an unlocked read just returns it, so it can't overwrite another
+ * process's write.
+ */
+class JsonStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir - Directory holding the files
+     * @param {Object} options.files - Map of key to file name, e.g. { matches: 'matches.json' }
+     * @param {string[]} options.writeOrder - Keys in the order they're renamed into place
+     * @param {Function} options.validate - (data) => error message or null
+     * @param {string} options.backupDir - Where backups go (defaults to DATA_BACKUP_DIR, then <dataDir>/backups)
+     * @param {number} options.backupCount - Backups to keep (defaults to DATA_BACKUP_COUNT, then 10; 0 turns backups off)
+     * @param {number} options.backupIntervalMinutes - Minimum gap between backups (DATA_BACKUP_INTERVAL_MINUTES, then 60)
+     */
+    constructor({ dataDir, files, writeOrder = Object.keys(files), validate = () => null, backupDir, backupCount, backupIntervalMinutes }) {
+        this.dataDir = dataDir;
+        this.files = files;
+        this.writeOrder = writeOrder;
+        this.validate = validate;
+        this.backupDir = backupDir || process.env.DATA_BACKUP_DIR || path.join(dataDir, 'backups');
+        this.backupCount = backupCount ?? Number(process.env.DATA_BACKUP_COUNT || DEFAULT_BACKUP_COUNT);
+        if (!Number.isInteger(this.backupCount) || this.backupCount < 0) {
+            console.warn(`⚠️ Ignoring invalid data backup count ${this.backupCount}, keeping ${DEFAULT_BACKUP_COUNT}`);
+            this.backupCount = DEFAULT_BACKUP_COUNT;
+        } else if (this.backupCount === 0) {
+            console.warn('⚠️ Data backups are turned off: damaged files can only be recovered from an interrupted write');
+        }
+        this.backupIntervalMs = (backupIntervalMinutes ?? Number(process.env.DATA_BACKUP_INTERVAL_MINUTES || DEFAULT_BACKUP_INTERVAL_MINUTES)) * 60 * 1000;
+        this.lockFile = path.join(dataDir, '.write.lock');
+        this.lastBackupAt = null;
+        this.holdingLock = false;
+        this.queue = Promise.resolve();
+    }
+
+    getPath(key) {
+        return path.join(this.dataDir, this.files[key]);
+    }
+
+    /**
+     * Parse one copy of the files; missing files count as empty
+     * @param {Function} fileFor - key => path of that file in this copy
+     * @returns {Object} { data } or { error }
+     */
+    readCopy(fileFor) {
+        const data = {};
+
+        try {
+            for (const key of Object.keys(this.files)) {
+                const file = fileFor(key);
+                data[key] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+                if (!Array.isArray(data[key])) {
+                    return { error: `${path.basename(file)} does not hold an array` };
+                }
+            }
+        } catch (err) {
+            return { error: err.message };
+        }
+
+        const error = this.validate(data);
+        return error ? { error } : { data };
+    }
+
+    /**
+     * Read the files, recovering from an interrupted write or a backup if they're damaged
+     * (the recovered copy is only written back while holding the write lock)
+     * @returns {Object|null} Parsed contents keyed like `files`, or null while another process is mid-write
+     * @throws When neither the files nor any backup are usable
+     */
+    read() {
+        const current = this.readCopy(key => this.getPath(key));
+        if (current.data) {
+            return current.data;
+        }
+
+        // Between two renames the files disagree; that's another writer at work, not damage
+        if (!this.holdingLock && fs.existsSync(this.lockFile) && !this.isLockStale()) {
+            return null;
+        }
+
+        console.error(`❌ Data files are damaged: ${current.error}`);
+
+        const candidates = [
+            {
+                label: 'an interrupted write',
+                fileFor: key => fs.existsSync(`${this.getPath(key)}.tmp`) ? `${this.getPath(key)}.tmp` : this.getPath(key)
+            },
+            ...this.listBackups().reverse().map(name => ({
+                label: `backup ${name}`,
+                fileFor: key => path.join(this.backupDir, name, this.files[key])
+            }))
+        ];
+
+        for (const candidate of candidates) {
+            const { data } = this.readCopy(candidate.fileFor);
+            if (!data) continue;
+
+            if (!this.holdingLock) {
+                console.log(`🩹 Using data from ${candidate.label}; the files are restored on the next write`);
+                return data;
+            }
+
+            console.log(`🩹 Restoring data files from ${candidate.label}`);
+            this.quarantine();
+            this.writeFiles(data);
+            return data;
+        }
+
+        throw new Error(`Data files are damaged (${current.error}) and no usable backup was found in ${this.backupDir}`);
+    }
+
+    /**
+     * Run a read-modify-write while holding the write lock
+     * @param {Function} mutate - (data) => { changed, result }; changes `data` in place
+     * @returns {Promise<*>} The `result` from `mutate`
+     */
+    withLock(mutate) {
+        const run = this.queue.then(async () => {
+            await this.acquireLock();
+            try {
+                // Re-read under the lock so another process's writes aren't lost
+                const data = this.read();
+                const { changed, result } = mutate(data);
+                if (changed) {
+                    this.backupIfDue();
+                    this.writeFiles(data);
+                }
+                return result;
+            } finally {
+                this.releaseLock();
+            }
+        });
+
+        // A failed write shouldn't block the ones queued behind it
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Take the cross-process lock, clearing it if its holder is gone or it's been held too long
+     */
+    async acquireLock() {
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+        while (true) {
+            try {
+                fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+                this.holdingLock = true;
+                return;
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+            }
+
+            if (this.isLockStale()) {
+                console.log('🔓 Removing abandoned data write lock');
+                fs.rmSync(this.lockFile, { force: true });
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the data write lock (${this.lockFile})`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+    }
+
+    isLockStale() {
+        try {
+            const pid = Number(fs.readFileSync(this.lockFile, 'utf8'));
+            if (Date.now() - fs.statSync(this.lockFile).mtimeMs > LOCK_STALE_MS) return true;
+
+            // Signal 0 only checks that the process exists
+            process.kill(pid, 0);
+            return false;
+        } catch (err) {
+            return err.code !== 'EPERM';
+        }
+    }
+
+    releaseLock() {
+        this.holdingLock = false;
+        fs.rmSync(this.lockFile, { force: true });
+    }
+
+    /**
+     * Write every file atomically: all temp files first, then the renames in writeOrder
+     */
+    writeFiles(data) {
+        this.writeOrder.forEach(key => this.writeTemp(`${this.getPath(key)}.tmp`, data[key]));
+        this.writeOrder.forEach(key => fs.renameSync(`${this.getPath(key)}.tmp`, this.getPath(key)));
+    }
+
+    /**
+     * Write and flush a temp file, so a rename never exposes a half-written file
+     */
+    writeTemp(file, value) {
+        const fd = fs.openSync(file, 'w');
+        try {
+            fs.writeFileSync(fd, JSON.stringify(value, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Backup names, oldest first (they're timestamps, so they sort by name)
+     */
+    listBackups() {
+        if (!fs.existsSync(this.backupDir)) return [];
+
+        return fs.readdirSync(this.backupDir)
+            .filter(name => /^\d{4}-\d{2}-\d{2}T[\d-]+Z$/.test(name))
+            .sort();
+    }
+
+    /**
+     * Copy the current files into a new backup if the interval has passed, then rotate
+     */
+    backupIfDue() {
+        if (this.backupCount === 0) return;
+        if (this.lastBackupAt !== null && Date.now() - this.lastBackupAt < this.backupIntervalMs) return;
+        if (!Object.keys(this.files).some(key => fs.existsSync(this.getPath(key)))) return;
+
+        const name = new Date().toISOString().replace(/[:.]/g, '-');
+        this.copyFilesTo(path.join(this.backupDir, name));
+        this.lastBackupAt = Date.now();
+        console.log(`🗄️ Backed up data files to ${path.join(this.backupDir, name)}`);
+
+        this.listBackups().slice(0, -this.backupCount).forEach(old => {
+            fs.rmSync(path.join(this.backupDir, old), { recursive: true, force: true });
+        });
+    }
+
+    /**
+     * Move damaged files aside for inspection before they're replaced
+     */
+    quarantine() {
+        const dir = path.join(this.backupDir, `damaged-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+        this.copyFilesTo(dir);
+        console.log(`🗄️ Kept the damaged files in ${dir}`);
+    }
+
+    copyFilesTo(dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        Object.keys(this.files).forEach(key => {
+            if (fs.existsSync(this.getPath(key))) {
+                fs.copyFileSync(this.getPath(key), path.join(dir, this.files[key]));
+            }
+        });
+    }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,160 @@
+const EventEmitter = require('events');
+const FootballRatingEngine = require('./ratingEngine');
+const RatingProfiles = require('./ratingProfiles');
+const RatingCategories = require('./ratingCategories');
+const MatchDataProvider = require('./providers/matchDataProvider');
+
+// Give up on a match whose details keep failing to load
+const MAX_FINALIZE_ATTEMPTS = 5;
+
+/**
+ * Tracks in-play matches and keeps a provisional rating for each
+ *
+ * Every poll re-rates the live matches (extra time and shootouts included) from the goals
+ * so far. When a match drops off the live list its details are fetched; once it is FINISHED
+ * the final rating is saved and replaces the provisional one. A match that is still being
+ * played is kept, and one that stopped without finishing (suspended, abandoned) is dropped.
+ * Emits:
+ *   update  - { ...match, rating } with rating.provisional = true
+ *   final   - { ...match, rating } with the final, stored rating
+ *   removed - { id } when a match is dropped without a final rating
+ */
+class LiveTracker extends EventEmitter {
+    /**
+     * @param {FootballAPIService} apiService - Where live matches are fetched from
+     * @param {FootballDatabase} database - Where final ratings are saved
+     * @param {RatingProfiles} profiles - Loaded rating profiles
+     * @param {RatingCategories} categories - Category registry
+     * @param {string} profile - Rating profile for provisional and final ratings
+     */
+    constructor(apiService, database, profiles = new RatingProfiles(), categories = new RatingCategories(), profile = RatingProfiles.DEFAULT_PROFILE) {
+        super();
+        this.apiService = apiService;
+        this.database = database;
+        this.engine = new FootballRatingEngine(profile, profiles, categories);
+        this.tracked = new Map();
+        this.lastPollAt = null;
+    }
+
+    /**
+     * Number of connected stream clients
+     */
+    getSubscriberCount() {
+        return this.listenerCount('update');
+    }
+
+    /**
+     * Current provisional state of every tracked match
+     */
+    getLiveMatches() {
+        return Array.from(this.tracked.values()).map(entry => entry.match);
+    }
+
+    /**
+     * Rate a match in progress on the minutes played so far
+     */
+    rateProvisionally(match) {
+        return {
+            ...this.engine.calculateRating(match, { explain: true, elapsedMinutes: match.minute ?? null }),
+            provisional: true,
+            minute: match.minute
+        };
+    }
+
+    /**
+     * What has to change before clients get an update
+     */
+    getSignature(match) {
+        return JSON.stringify([match.status, match.minute, match.injuryTime, match.homeScore, match.awayScore, match.goals.length, match.events.length]);
+    }
+
+    /**
+     * Poll the provider once. Skipped while nobody is watching and nothing is being tracked,
+     * so the live job doesn't spend API calls for an empty room.
+     * @returns {Object} Counts for the job log
+     */
+    async poll() {
+        if (this.getSubscriberCount() === 0 && this.tracked.size === 0) {
+            return { skipped: 'no viewers' };
+        }
+
+        this.lastPollAt = Date.now();
+        const liveMatches = await this.apiService.getLiveMatches();
+        const liveIds = new Set(liveMatches.map(match => match.id));
+        let updated = 0;
+
+        for (const match of liveMatches) {
+            const signature = this.getSignature(match);
+            const entry = this.tracked.get(match.id);
+
+            if (!entry || entry.signature !== signature) {
+                const liveMatch = { ...match, rating: this.rateProvisionally(match) };
+                this.tracked.set(match.id, { match: liveMatch, signature, finalizeAttempts: 0 });
+                this.emit('update', liveMatch);
+                updated++;
+            }
+        }
+
+        let finalized = 0;
+        for (const [id, entry] of this.tracked) {
+            if (!liveIds.has(id) && await this.finalize(id, entry)) {
+                finalized++;
+            }
+        }
+
+        return { live: liveMatches.length, updated, finalized };
+    }
+
+    /**
+     * Swap a match that left the live list for its final rating
+     * @returns {boolean} Whether the match was finalized
+     */
+    async finalize(id, entry) {
+        let match;
+        let rating;
+
+        try {
+            match = await this.apiService.fetchMatchDetails(id);
+            if (match.status === 'FINISHED') {
+                rating = this.engine.calculateRating(match, { explain: true });
+                await this.database.saveMatch(match, rating);
+            }
+        } catch (error) {
+            // One failed match mustn't hold up the others; it's retried on the next poll
+            console.error(`❌ Failed to finalize match ${id}:`, error.message);
+            entry.finalizeAttempts++;
+            if (entry.finalizeAttempts >= MAX_FINALIZE_ATTEMPTS) {
+                console.log(`⏹️ Match ${id} could not be finalized after ${MAX_FINALIZE_ATTEMPTS} attempts, no longer tracking it`);
+                this.drop(id);
+            }
+            return false;
+        }
+
+        if (match.status !== 'FINISHED') {
+            // Briefly missing from the live list: keep the provisional rating until it finishes
+            if (MatchDataProvider.LIVE_STATUSES.includes(match.status)) {
+                return false;
+            }
+
+            console.log(`⏹️ Match ${id} stopped without finishing (status: ${match.status}), no longer tracking it`);
+            this.drop(id);
+            return false;
+        }
+
+        this.tracked.delete(id);
+
+        console.log(`🏁 Full time: ${match.homeTeam} vs ${match.awayTeam} - final rating ${rating.totalScore}/100`);
+        this.emit('final', { ...match, rating: { ...rating, provisional: false } });
+        return true;
+    }
+
+    /**
+     * Stop tracking a match without a final rating
+     */
+    drop(id) {
+        this.tracked.delete(id);
+        this.emit('removed', { id });
+    }
+}
+
+module.exports = LiveTracker;
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const FootballRatingEngine = require('./ratingEngine');
+const RatingProfiles = require('./ratingProfiles');
+const RatingCategories = require('./ratingCategories');
+
+const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, 'cache', 'backfill');
+
+// football-data.org rejects match queries spanning more than 10 days
+const DEFAULT_WINDOW_DAYS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Backfills a competition's past matches over a season or date range
+ *
+ * The range is split into date windows the API accepts. Progress is written to a
+ * checkpoint file after every match, so an interrupted run picks up where it stopped.
+ * Requests go through the provider's rate-limited queue, so long runs wait rather than fail.
+ */
+class MatchBackfiller {
+    /**
+     * @param {FootballAPIService} apiService - Where matches are fetched from
+     * @param {FootballDatabase} database - Initialized database to save rated matches in
+     * @param {RatingProfiles} profiles - Loaded rating profiles
+     * @param {RatingCategories} categories - Category registry
+     * @param {string} checkpointDir - Where checkpoint files live (defaults to BACKFILL_CHECKPOINT_DIR)
+     */
+    constructor(apiService, database, profiles = new RatingProfiles(), categories = new RatingCategories(), checkpointDir) {
+        this.apiService = apiService;
+        this.database = database;
+        this.profiles = profiles;
+        this.categories = categories;
+        this.checkpointDir = checkpointDir || process.env.BACKFILL_CHECKPOINT_DIR || DEFAULT_CHECKPOINT_DIR;
+    }
+
+    /**
+     * Date range for a season starting in the given year (European seasons run July to June)
+     */
+    getSeasonRange(season) {
+        const year = parseInt(season, 10);
+        if (isNaN(year)) {
+            throw new Error(`Invalid season: ${season}`);
+        }
+        return { dateFrom: `${year}-07-01`, dateTo: `${year + 1}-06-30` };
+    }
+
+    /**
+     * Split a date range (YYYY-MM-DD, inclusive) into windows of at most `windowDays` days
+     */
+    splitRange(dateFrom, dateTo, windowDays = DEFAULT_WINDOW_DAYS) {
+        const end = Date.parse(`${dateTo}T00:00:00Z`);
+        const windows = [];
+
+        for (let start = Date.parse(`${dateFrom}T00:00:00Z`); start <= end; start += windowDays * DAY_MS) {
+            windows.push({
+                dateFrom: this.formatDate(start),
+                dateTo: this.formatDate(Math.min(start + (windowDays - 1) * DAY_MS, end))
+            });
+        }
+
+        return windows;
+    }
+
+    formatDate(time) {
+        return new Date(time).toISOString().split('T')[0];
+    }
+
+    /**
+     * Checkpoint file for a competition and range
+     */
+    getCheckpointFile(competition, dateFrom, dateTo) {
+        return path.join(this.checkpointDir, `${competition}_${dateFrom}_${dateTo}.json`);
+    }
+
+    loadCheckpoint(file) {
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    saveCheckpoint(file, checkpoint) {
+        checkpoint.updatedAt = new Date().toISOString();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(checkpoint, null, 2));
+    }
+
+    /**
+     * Every checkpoint on disk, for the admin API
+     */
+    listCheckpoints() {
+        if (!fs.existsSync(this.checkpointDir)) return [];
+
+        return fs.readdirSync(this.checkpointDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.loadCheckpoint(path.join(this.checkpointDir, file)));
+    }
+
+    /**
+     * Normalize and validate run options into a competition code and date range
+     */
+    resolveOptions({ competition, season, dateFrom, dateTo, profile = RatingProfiles.DEFAULT_PROFILE }) {
+        const registered = this.apiService.provider.registry.resolve(competition);
+        if (!registered) {
+            throw new Error(`Unknown competition: ${competition}`);
+        }
+        if (!this.profiles.hasProfile(profile)) {
+            throw new Error(`Unknown rating profile: ${profile}`);
+        }
+
+        const range = season !== undefined && season !== null ? this.getSeasonRange(season) : { dateFrom, dateTo };
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (!datePattern.test(range.dateFrom || '') || !datePattern.test(range.dateTo || '') || range.dateFrom > range.dateTo) {
+            throw new Error('Give a season or a dateFrom/dateTo range (YYYY-MM-DD)');
+        }
+
+        // Never ask for matches that haven't been played yet
+        const today = this.formatDate(Date.now());
+        if (range.dateTo > today) range.dateTo = today;
+        if (range.dateFrom > range.dateTo) {
+            throw new Error(`Nothing to backfill: ${range.dateFrom} is in the future`);
+        }
+
+        return { competition: registered.code, ...range, profile };
+    }
+
+    /**
+     * Run (or resume) a backfill
+     * @param {Object} options
+     * @param {string} options.competition - Competition code, name or alias
+     * @param {number} options.season - Season start year (instead of dateFrom/dateTo)
+     * @param {string} options.dateFrom - First day (YYYY-MM-DD)
+     * @param {string} options.dateTo - Last day (YYYY-MM-DD)
+     * @param {string} options.profile - Rating profile to rate with
+     * @param {boolean} options.details - Fetch each match's details for real goal minutes
+     * @param {boolean} options.restart - Ignore an existing checkpoint and start over
+     * @returns {Object} The final checkpoint
+     */
+    async run(options = {}) {
+        const { competition, dateFrom, dateTo, profile } = this.resolveOptions(options);
+        const { details = true, restart = false } = options;
+        const file = this.getCheckpointFile(competition, dateFrom, dateTo);
+        const windows = this.splitRange(dateFrom, dateTo);
+        const engine = new FootballRatingEngine(profile, this.profiles, this.categories);
+
+        let checkpoint = restart ? null : this.loadCheckpoint(file);
+        if (checkpoint && checkpoint.status === 'completed') {
+            console.log(`✅ Backfill of ${competition} ${dateFrom}..${dateTo} already completed (use restart to run it again)`);
+            return checkpoint;
+        }
+
+        if (checkpoint) {
+            console.log(`⏯️ Resuming backfill of ${competition} at window ${checkpoint.nextWindow + 1}/${windows.length}`);
+        } else {
+            checkpoint = {
+                competition, dateFrom, dateTo, profile, details,
+                status: 'running',
+                totalWindows: windows.length,
+                nextWindow: 0,
+                windowMatchIds: [],
+                stats: { fetched: 0, saved: 0, added: 0, detailsFetched: 0, detailsMissing: 0 },
+                error: null,
+                startedAt: new Date().toISOString()
+            };
+        }
+
+        checkpoint.status = 'running';
+        checkpoint.error = null;
+        this.saveCheckpoint(file, checkpoint);
+
+        try {
+            for (; checkpoint.nextWindow < windows.length; checkpoint.nextWindow++) {
+                const window = windows[checkpoint.nextWindow];
+                console.log(`📅 Backfill ${competition} window ${checkpoint.nextWindow + 1}/${windows.length}: ${window.dateFrom}..${window.dateTo}`);
+
+                const matches = await this.apiService.getCompetitionMatches(competition, window.dateFrom, window.dateTo);
+                const pending = matches.filter(match => !checkpoint.windowMatchIds.includes(match.id));
+                checkpoint.stats.fetched += pending.length;
+
+                for (const listed of pending) {
+                    await this.backfillMatch(listed, engine, checkpoint, details);
+                    checkpoint.windowMatchIds.push(listed.id);
+                    this.saveCheckpoint(file, checkpoint);
+                }
+
+                checkpoint.windowMatchIds = [];
+                this.saveCheckpoint(file, { ...checkpoint, nextWindow: checkpoint.nextWindow + 1 });
+            }
+
+            checkpoint.status = 'completed';
+            checkpoint.completedAt = new Date().toISOString();
+            this.saveCheckpoint(file, checkpoint);
+            console.log(`✅ Backfill of ${competition} complete: ${checkpoint.stats.saved} matches saved (${checkpoint.stats.added} new)`);
+            return checkpoint;
+        } catch (error) {
+            checkpoint.status = 'interrupted';
+            checkpoint.error = error.message;
+            this.saveCheckpoint(file, checkpoint);
+            console.error(`❌ Backfill of ${competition} stopped at window ${checkpoint.nextWindow + 1}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch details for one listed match (unless we already have real goals), rate and save it
+     */
+    async backfillMatch(listed, engine, checkpoint, details) {
+        const stored = this.database.getMatchByApiId(listed.id);
+        let match = listed;
+
+        if (details && listed.dataConfidence !== 'full'
+            && !(stored && this.database.getDataConfidence(stored) === 'full')) {
+            const detailed = await this.apiService.getMatchDetails(listed.id);
+            if (detailed) {
+                match = detailed;
+                checkpoint.stats.detailsFetched++;
+            } else {
+                checkpoint.stats.detailsMissing++;
+            }
+        }
+
+        const rating = engine.calculateRating(match, { explain: true });
+        await this.database.saveMatch(match, rating);
+
+        checkpoint.stats.saved++;
+        if (!stored) checkpoint.stats.added++;
+    }
+}
+
+MatchBackfiller.DEFAULT_WINDOW_DAYS = DEFAULT_WINDOW_DAYS;
+
+module.exports = MatchBackfiller;
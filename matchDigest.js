@@ -0,0 +1,297 @@
+const RatingCategories = require('./ratingCategories');
+
+// Matches rated in this category or better go on the "watch these" list
+const WATCH_CATEGORY = 'really-good';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds "what should I catch up on?" digests of stored matches
+ *
+ * Matches are grouped by matchday within a season, or by ISO calendar week for matches
+ * without a matchday (cups, knockout rounds, imports). Each group is ranked by
+ * watchability and split into matches to watch and matches to skip. Digests only carry
+ * teams, dates and rating categories - never a result or a score - so they're safe to
+ * read before watching.
+ */
+class MatchDigest {
+    /**
+     * @param {RatingCategories} categories - Category registry, for the watch/skip split and descriptions
+     */
+    constructor(categories = new RatingCategories()) {
+        this.categories = categories;
+        const watchCategory = categories.listCategories().find(category => category.slug === WATCH_CATEGORY);
+        this.watchMinScore = watchCategory ? watchCategory.min : 60;
+    }
+
+    /**
+     * Season a match belongs to, by the year it starts (seasons start in July)
+     */
+    getSeason(date) {
+        const d = new Date(date);
+        return d.getUTCMonth() >= 6 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+    }
+
+    /**
+     * ISO week of a date, e.g. { year: 2025, week: 40 }
+     */
+    getIsoWeek(date) {
+        const d = new Date(date);
+        const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+        // The Thursday of a week decides which year the week belongs to
+        day.setUTCDate(day.getUTCDate() + 3 - ((day.getUTCDay() + 6) % 7));
+        const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+        return { year: day.getUTCFullYear(), week: Math.ceil(((day - yearStart) / DAY_MS + 1) / 7) };
+    }
+
+    /**
+     * Which group a stored match falls into: its matchday when it has one, otherwise its calendar week
+     */
+    getGroupKey(match) {
+        if (match.matchday !== null && match.matchday !== undefined) {
+            return { type: 'matchday', season: this.getSeason(match.date), matchday: match.matchday };
+        }
+
+        const { year, week } = this.getIsoWeek(match.date);
+        return { type: 'week', year, week };
+    }
+
+    /**
+     * The `:week` path segment for a group: `md7` for a matchday, `2025-W40` for a calendar week
+     */
+    formatWeek(key) {
+        return key.type === 'matchday' ? `md${key.matchday}` : `${key.year}-W${String(key.week).padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse a `:week` path segment: `latest`, a matchday (`7` or `md7`) or an ISO week (`2025-W40`)
+     * @param {string} week - Path segment
+     * @param {string} season - Starting year of the season, for matchdays (latest season when omitted)
+     * @throws When the segment or season can't be parsed
+     */
+    parseWeek(week, season) {
+        const value = String(week || '').trim();
+        if (season !== undefined && season !== '' && !/^\d{4}$/.test(String(season))) {
+            throw new Error('season must be the year the season starts, e.g. 2025');
+        }
+
+        if (value.toLowerCase() === 'latest') {
+            return { type: 'latest' };
+        }
+
+        const matchday = value.match(/^(?:md)?(\d{1,3})$/i);
+        if (matchday && Number(matchday[1]) > 0) {
+            return { type: 'matchday', matchday: Number(matchday[1]), season: season ? Number(season) : null };
+        }
+
+        const isoWeek = value.match(/^(\d{4})-W(\d{1,2})$/i);
+        if (isoWeek && Number(isoWeek[2]) >= 1 && Number(isoWeek[2]) <= 53) {
+            return { type: 'week', year: Number(isoWeek[1]), week: Number(isoWeek[2]) };
+        }
+
+        throw new Error('week must be latest, a matchday (e.g. 7 or md7) or an ISO week (e.g. 2025-W40)');
+    }
+
+    /**
+     * Every group a competition's stored matches fall into, newest first
+     * @param {Array} matches - The competition's stored matches
+     */
+    listGroups(matches) {
+        const groups = new Map();
+
+        matches.forEach(match => {
+            const key = this.getGroupKey(match);
+            const id = JSON.stringify(key);
+            if (!groups.has(id)) groups.set(id, { key, matches: [] });
+            groups.get(id).matches.push(match);
+        });
+
+        return [...groups.values()]
+            .map(group => ({
+                week: this.formatWeek(group.key),
+                season: group.key.type === 'matchday' ? group.key.season : null,
+                label: this.getLabel(group.key),
+                matches: group.matches.length,
+                ...this.getDateRange(group.matches)
+            }))
+            .sort((a, b) => new Date(b.to) - new Date(a.to));
+    }
+
+    /**
+     * Pick the stored matches a parsed `:week` refers to
+     * @param {Array} matches - The competition's stored matches
+     * @param {Object} week - From parseWeek
+     * @returns {Object|null} { key, matches }, or null when nothing was stored for it
+     */
+    selectGroup(matches, week) {
+        if (matches.length === 0) return null;
+
+        let key = week;
+        if (week.type === 'latest') {
+            const newest = matches.reduce((a, b) => (new Date(b.date) > new Date(a.date) ? b : a));
+            key = this.getGroupKey(newest);
+        } else if (week.type === 'matchday' && week.season === null) {
+            const seasons = matches.filter(match => match.matchday === week.matchday).map(match => this.getSeason(match.date));
+            if (seasons.length === 0) return null;
+            key = { ...week, season: Math.max(...seasons) };
+        }
+
+        const selected = matches.filter(match => {
+            if (key.type === 'matchday') {
+                return match.matchday === key.matchday && this.getSeason(match.date) === key.season;
+            }
+            const { year, week: isoWeek } = this.getIsoWeek(match.date);
+            return year === key.year && isoWeek === key.week;
+        });
+
+        return selected.length > 0 ? { key, matches: selected } : null;
+    }
+
+    /**
+     * Build the digest for one group: ranked by watchability, split into watch and skip
+     * @param {Object} competition - { code, name }
+     * @param {Object} group - From selectGroup
+     */
+    build(competition, group) {
+        const rated = group.matches.filter(match => match.rating && typeof match.rating.totalScore === 'number');
+        const ranked = [...rated]
+            .sort((a, b) => b.rating.totalScore - a.rating.totalScore || new Date(a.date) - new Date(b.date))
+            .map((match, i) => ({
+                rank: i + 1,
+                id: match.id,
+                homeTeam: match.homeTeam,
+                awayTeam: match.awayTeam,
+                date: match.date,
+                stage: match.stage,
+                category: match.rating.category,
+                categorySlug: match.rating.categorySlug,
+                description: this.categories.getCategoryByName(match.rating.category).description || '',
+                watch: match.rating.totalScore >= this.watchMinScore
+            }));
+
+        return {
+            competition,
+            week: this.formatWeek(group.key),
+            season: group.key.type === 'matchday' ? group.key.season : null,
+            label: this.getLabel(group.key),
+            ...this.getDateRange(group.matches),
+            matches: group.matches.length,
+            unrated: group.matches.length - rated.length,
+            watch: ranked.filter(match => match.watch).map(({ watch, ...match }) => match),
+            skip: ranked.filter(match => !match.watch).map(({ watch, ...match }) => match),
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    getLabel(key) {
+        if (key.type === 'matchday') {
+            return `Matchday ${key.matchday}, ${key.season}/${String((key.season + 1) % 100).padStart(2, '0')}`;
+        }
+        return `Week ${key.week}, ${key.year}`;
+    }
+
+    getDateRange(matches) {
+        const dates = matches.map(match => match.date).sort();
+        return { from: dates[0], to: dates[dates.length - 1] };
+    }
+
+    /**
+     * Markdown version of a digest, for pasting into a chat or an email
+     */
+    renderMarkdown(digest) {
+        const md = text => this.escapeMarkdown(text);
+        const line = match => `${match.rank}. **${md(match.homeTeam)} vs ${md(match.awayTeam)}** - ${md(match.category)}`
+            + ` _(${this.formatDay(match.date)}${match.description ? `, ${md(match.description.toLowerCase())}` : ''})_`;
+        const section = (title, matches, empty) => [
+            `## ${title}`,
+            '',
+            ...(matches.length > 0 ? matches.map(line) : [`_${empty}_`]),
+            ''
+        ];
+
+        return [
+            `# ${md(digest.competition.name)}: ${md(digest.label)}`,
+            '',
+            `${this.formatSummary(digest)} · no spoilers`,
+            '',
+            ...section('Watch these', digest.watch, 'Nothing essential this time'),
+            ...section('Skip those', digest.skip, 'Nothing to skip - watch the lot'),
+            ...(digest.unrated > 0 ? [`_${digest.unrated} matches aren't rated yet._`, ''] : [])
+        ].join('\n');
+    }
+
+    /**
+     * Standalone, spoiler-free HTML page for a digest
+     */
+    renderHtml(digest) {
+        const colors = Object.fromEntries(this.categories.listCategories().map(category => [category.slug, category.color]));
+        const item = match => `
+            <li>
+                <span class="category" style="background: ${colors[match.categorySlug] || '#64748b'}">${this.escapeHtml(match.category)}</span>
+                <strong>${this.escapeHtml(match.homeTeam)} vs ${this.escapeHtml(match.awayTeam)}</strong>
+                <span class="meta">${this.formatDay(match.date)}${match.description ? ` · ${this.escapeHtml(match.description)}` : ''}</span>
+            </li>`;
+        const section = (title, matches, empty) => `
+        <h2>${title}</h2>
+        ${matches.length > 0 ? `<ol start="${matches[0].rank}">${matches.map(item).join('')}
+        </ol>` : `<p class="meta">${empty}</p>`}`;
+        const title = `${this.escapeHtml(digest.competition.name)}: ${this.escapeHtml(digest.label)}`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - Footy Rater digest</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 720px; margin: 40px auto; padding: 0 20px; color: #1e293b; }
+        h1 { margin-bottom: 5px; }
+        h2 { margin-top: 30px; }
+        li { margin-bottom: 12px; }
+        .category { display: inline-block; padding: 3px 10px; border-radius: 12px; color: white; font-size: 0.8rem; font-weight: 600; margin-right: 8px; }
+        .meta { color: #64748b; font-size: 0.9rem; margin-left: 8px; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <p class="meta">${this.formatSummary(digest)} · no spoilers</p>
+    ${section('Watch these', digest.watch, 'Nothing essential this time')}
+    ${section('Skip those', digest.skip, 'Nothing to skip - watch the lot')}
+    ${digest.unrated > 0 ? `<p class="meta">${digest.unrated} matches aren't rated yet.</p>` : ''}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * "Sat, 27 Sept 2025 - Sun, 28 Sept 2025 · 9 matches"
+     */
+    formatSummary(digest) {
+        const from = this.formatDay(digest.from);
+        const to = this.formatDay(digest.to);
+        return `${from === to ? from : `${from} - ${to}`} · ${digest.matches} ${digest.matches === 1 ? 'match' : 'matches'}`;
+    }
+
+    formatDay(date) {
+        return new Date(date).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    /**
+     * Backslash-escape characters Markdown would read as formatting, links or HTML
+     */
+    escapeMarkdown(text) {
+        return String(text).replace(/[\\`*_{}[\]()<>#|~!]/g, '\\$&');
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+MatchDigest.WATCH_CATEGORY = WATCH_CATEGORY;
+
+module.exports = MatchDigest;
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const FootballRatingEngine = require('./ratingEngine');
+const RatingProfiles = require('./ratingProfiles');
+const RatingCategories = require('./ratingCategories');
+
+const DEFAULT_SOURCE = 'import';
+const GOAL_TYPES = ['REGULAR', 'PENALTY', 'OWN'];
+const DURATIONS = ['REGULAR', 'EXTRA_TIME', 'PENALTY_SHOOTOUT'];
+const EVENT_TYPES = ['RED_CARD', 'MISSED_PENALTY', 'DISALLOWED_GOAL', 'SUBSTITUTION'];
+
+// Team, competition, stage and scorer names: plain text of a sensible length, no markup or control characters
+const MAX_NAME_LENGTH = 100;
+const UNSAFE_NAME_CHARACTERS = /[<>\u0000-\u001f\u007f]/;
+
+/**
+ * Imports matches the API doesn't cover (other leagues, friendlies, classics) from CSV or JSON
+ *
+ * Every row is validated on its own - goals per side must add up to the score - then rated
+ * and saved. Bad rows are reported back with their row number instead of failing the batch.
+ *
+ * CSV columns: homeTeam, awayTeam, homeScore, awayScore, date, competition and goals, plus
+ * optional stage, duration, homePenalties and awayPenalties. Goals are `;`-separated
+ * `side:minute[+injury][:type][:scorer]` entries, e.g. `home:23;away:90+4:PENALTY:Salah`.
+ * JSON rows use the same fields with `goals` (and optional `events`) as arrays.
+ */
+class MatchImporter {
+    /**
+     * @param {FootballDatabase} database - Initialized database to save imported matches in
+     * @param {RatingProfiles} profiles - Loaded rating profiles
+     * @param {RatingCategories} categories - Category registry
+     */
+    constructor(database, profiles = new RatingProfiles(), categories = new RatingCategories()) {
+        this.database = database;
+        this.profiles = profiles;
+        this.categories = categories;
+    }
+
+    /**
+     * Parse CSV text into row objects keyed by the header line
+     */
+    parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+        if (nonEmpty.length === 0) return [];
+
+        const header = nonEmpty[0].map(name => name.trim());
+        return nonEmpty.slice(1).map(values =>
+            Object.fromEntries(header.map((name, i) => [name, (values[i] || '').trim()]))
+        );
+    }
+
+    /**
+     * Turn a CSV goals cell into goal objects (validation happens later)
+     */
+    parseCsvGoals(cell) {
+        if (!cell) return [];
+
+        return cell.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const [team, time = '', type, ...scorer] = entry.split(':').map(part => part.trim());
+            const [minute, injuryTime] = time.split('+');
+            return {
+                team,
+                minute: minute === '' ? NaN : Number(minute),
+                injuryTime: injuryTime === undefined ? null : Number(injuryTime),
+                type: type || 'REGULAR',
+                scorer: scorer.length > 0 ? scorer.join(':') : undefined
+            };
+        });
+    }
+
+    /**
+     * Parse an import payload: a CSV string, a JSON string, an array of rows or { matches: [...] }
+     */
+    parse(payload, format) {
+        if (typeof payload === 'string') {
+            const text = payload.trim();
+            if (format === 'csv' || (!format && !text.startsWith('[') && !text.startsWith('{'))) {
+                return this.parseCsv(text).map(row => ({ ...row, goals: this.parseCsvGoals(row.goals) }));
+            }
+            payload = JSON.parse(text);
+        }
+
+        const rows = Array.isArray(payload) ? payload : payload && payload.matches;
+        if (!Array.isArray(rows)) {
+            throw new Error('Expected CSV, a JSON array of matches or { "matches": [...] }');
+        }
+        return rows;
+    }
+
+    /**
+     * Validate one row and build the internal match shape
+     * @returns {Object} { match } or { errors }
+     */
+    validateRow(row, source) {
+        const errors = [];
+        const text = value => (value === undefined || value === null ? '' : String(value).trim());
+        const count = (value, name) => {
+            const number = Number(value);
+            if (text(value) === '' || !Number.isInteger(number) || number < 0) {
+                errors.push(`${name} must be a whole number of 0 or more`);
+            }
+            return number;
+        };
+        const name = (value, label) => {
+            const trimmed = text(value);
+            if (trimmed.length > MAX_NAME_LENGTH) {
+                errors.push(`${label} must be at most ${MAX_NAME_LENGTH} characters`);
+            } else if (UNSAFE_NAME_CHARACTERS.test(trimmed)) {
+                errors.push(`${label} must not contain < or > or control characters`);
+            }
+            return trimmed;
+        };
+
+        const homeTeam = name(row.homeTeam, 'homeTeam');
+        const awayTeam = name(row.awayTeam, 'awayTeam');
+        const competition = name(row.competition, 'competition');
+        const stage = name(row.stage, 'stage');
+        if (!homeTeam) errors.push('homeTeam is required');
+        if (!awayTeam) errors.push('awayTeam is required');
+        if (homeTeam && homeTeam === awayTeam) errors.push('homeTeam and awayTeam must differ');
+        if (!competition) errors.push('competition is required');
+
+        const homeScore = count(row.homeScore, 'homeScore');
+        const awayScore = count(row.awayScore, 'awayScore');
+
+        const date = new Date(text(row.date));
+        if (!text(row.date) || isNaN(date.getTime())) {
+            errors.push('date must be a valid date (e.g. 2005-05-25 or 2005-05-25T19:45:00Z)');
+        }
+
+        const duration = text(row.duration).toUpperCase() || 'REGULAR';
+        if (!DURATIONS.includes(duration)) {
+            errors.push(`duration must be one of ${DURATIONS.join(', ')}`);
+        }
+
+        let penalties = null;
+        if (text(row.homePenalties) !== '' || text(row.awayPenalties) !== '' || duration === 'PENALTY_SHOOTOUT') {
+            penalties = {
+                home: count(row.homePenalties, 'homePenalties'),
+                away: count(row.awayPenalties, 'awayPenalties')
+            };
+            if (duration !== 'PENALTY_SHOOTOUT') errors.push('penalties need duration PENALTY_SHOOTOUT');
+        }
+
+        const maxMinute = duration === 'REGULAR' ? 90 : 120;
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const goals = (Array.isArray(row.goals) ? row.goals : []).map((goal, i) => {
+            if (!isObject(goal)) {
+                errors.push(`goals[${i}] must be an object`);
+                return null;
+            }
+
+            const label = `goal ${i + 1}`;
+            // A goal's side can be given as home/away or as the team's name
+            const side = text(goal.team).toLowerCase();
+            const team = side === 'home' || side === homeTeam.toLowerCase() ? 'home'
+                : side === 'away' || side === awayTeam.toLowerCase() ? 'away' : null;
+            const minute = Number(goal.minute);
+            const injuryTime = goal.injuryTime === undefined || goal.injuryTime === null ? null : Number(goal.injuryTime);
+            const type = text(goal.type).toUpperCase() || 'REGULAR';
+
+            if (!team) errors.push(`${label}: team must be home, away or one of the team names`);
+            if (!Number.isInteger(minute) || minute < 1 || minute > maxMinute) {
+                errors.push(`${label}: minute must be 1-${maxMinute}`);
+            }
+            if (injuryTime !== null && (!Number.isInteger(injuryTime) || injuryTime < 1)) {
+                errors.push(`${label}: injury time must be a whole number of 1 or more`);
+            }
+            if (!GOAL_TYPES.includes(type)) errors.push(`${label}: type must be one of ${GOAL_TYPES.join(', ')}`);
+
+            return { team, minute, injuryTime, scorer: name(goal.scorer, `${label}: scorer`) || 'Unknown', type };
+        }).filter(Boolean);
+
+        // The score is the only thing we can check the goals against
+        const homeGoals = goals.filter(goal => goal.team === 'home').length;
+        const awayGoals = goals.filter(goal => goal.team === 'away').length;
+        if (Number.isInteger(homeScore) && homeGoals !== homeScore) {
+            errors.push(`homeScore is ${homeScore} but ${homeGoals} home goals were listed`);
+        }
+        if (Number.isInteger(awayScore) && awayGoals !== awayScore) {
+            errors.push(`awayScore is ${awayScore} but ${awayGoals} away goals were listed`);
+        }
+
+        const events = (Array.isArray(row.events) ? row.events : []).filter((event, i) => {
+            if (!isObject(event)) {
+                errors.push(`events[${i}] must be an object`);
+                return false;
+            }
+            if (EVENT_TYPES.includes(event.type)) return true;
+            errors.push(`event ${i + 1}: type must be one of ${EVENT_TYPES.join(', ')}`);
+            return false;
+        });
+
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        goals.sort((a, b) => (a.minute + (a.injuryTime || 0) / 100) - (b.minute + (b.injuryTime || 0) / 100));
+        const isoDate = date.toISOString();
+
+        return {
+            match: {
+                id: this.getImportId(homeTeam, awayTeam, isoDate),
+                homeTeam,
+                awayTeam,
+                homeScore,
+                awayScore,
+                date: isoDate,
+                status: 'FINISHED',
+                competition,
+                competitionCode: null,
+                stage: stage || null,
+                duration,
+                extraTime: null,
+                penalties,
+                goals,
+                events,
+                dataConfidence: 'full',
+                source
+            }
+        };
+    }
+
+    /**
+     * Stable ID for an imported match, so importing the same file twice doesn't duplicate it
+     */
+    getImportId(homeTeam, awayTeam, date) {
+        const hash = crypto.createHash('sha1').update(`${homeTeam}|${awayTeam}|${date}`).digest('hex');
+        return `import-${hash.slice(0, 12)}`;
+    }
+
+    /**
+     * Whether a row would change nothing: it repeats an earlier row of the batch, or the stored match as is
+     * @param {Object} match - Validated row
+     * @param {Object} earlier - The batch's earlier row with the same ID, if any
+     */
+    isUnchanged(match, earlier) {
+        if (earlier) {
+            return JSON.stringify(earlier) === JSON.stringify(match);
+        }
+
+        const stored = this.database.getMatchByApiId(match.id);
+        return Boolean(stored) && Object.keys(this.database.diffMatch(stored, match, match.dataConfidence).changes).length === 0;
+    }
+
+    /**
+     * Validate, rate and save every row
+     * @param {string|Array|Object} payload - CSV text, JSON text or parsed JSON rows
+     * @param {Object} options
+     * @param {string} options.format - 'csv' or 'json' (guessed from the payload when omitted)
+     * @param {string} options.profile - Rating profile to rate with
+     * @param {string} options.source - Source tag stored with every match
+     * @param {boolean} options.dryRun - Validate and rate without saving
+     * @returns {Object} Summary, imported and updated matches, skipped duplicates and per-row errors
+     */
+    async import(payload, { format, profile = RatingProfiles.DEFAULT_PROFILE, source = DEFAULT_SOURCE, dryRun = false } = {}) {
+        if (!this.profiles.hasProfile(profile)) {
+            throw new Error(`Unknown rating profile: ${profile}`);
+        }
+
+        const rows = this.parse(payload, format);
+        const engine = new FootballRatingEngine(profile, this.profiles, this.categories);
+        const imported = [];
+        const updated = [];
+        const duplicates = [];
+        const errors = [];
+        // Rows already handled in this batch, so repeats are caught even in a dry run
+        const seen = new Map();
+
+        // Row numbers are 1-based data rows (the CSV header is not counted)
+        for (let i = 0; i < rows.length; i++) {
+            const { match, errors: rowErrors } = this.validateRow(rows[i] || {}, source);
+            if (rowErrors) {
+                errors.push({ row: i + 1, errors: rowErrors });
+                continue;
+            }
+
+            const rating = engine.calculateRating(match, { explain: true });
+
+            const earlier = seen.get(match.id);
+            if (this.isUnchanged(match, earlier && earlier.match)) {
+                duplicates.push({
+                    row: i + 1,
+                    id: match.id,
+                    match: `${match.homeTeam} vs ${match.awayTeam}`,
+                    duplicateOf: earlier ? earlier.row : 'stored'
+                });
+                continue;
+            }
+
+            // A changed copy of a known match goes through saveMatch too, which records it as a correction
+            const isUpdate = Boolean(earlier) || this.database.hasMatch(match.id);
+            seen.set(match.id, { row: i + 1, match });
+
+            if (!dryRun) {
+                await this.database.saveMatch(match, rating);
+            }
+            (isUpdate ? updated : imported).push({ row: i + 1, ...match, rating });
+        }
+
+        console.log(`📥 Import${dryRun ? ' (dry run)' : ''}: ${imported.length} imported, ${updated.length} updated, ${duplicates.length} duplicates, ${errors.length} rejected`);
+
+        return {
+            summary: {
+                dryRun,
+                source,
+                rows: rows.length,
+                imported: imported.length,
+                updated: updated.length,
+                duplicates: duplicates.length,
+                rejected: errors.length
+            },
+            imported,
+            updated,
+            duplicates,
+            errors
+        };
+    }
+}
+
+MatchImporter.DEFAULT_SOURCE = DEFAULT_SOURCE;
+
+module.exports = MatchImporter;
@@ -0,0 +1,229 @@
+const RatingCategories = require('./ratingCategories');
+
+// How many matches a team (or pairing) needs before its own average outweighs the baseline
+const TEAM_PRIOR_MATCHES = 3;
+const HEAD_TO_HEAD_PRIOR_MATCHES = 2;
+// ...and how many home (or away) games before its home/away split outweighs its overall average
+const SPLIT_PRIOR_MATCHES = 3;
+
+// Watchability points per expected goal above or below the baseline goals per game
+const POINTS_PER_EXPECTED_GOAL = 6;
+
+// Half-width of the range when there is almost no history, and the floor it shrinks to
+const MAX_RANGE = 30;
+const MIN_RANGE = 6;
+
+/**
+ * Predicts pre-match watchability for scheduled fixtures from stored history
+ *
+ * The prediction starts from each team's overall average rating, shrunk towards the
+ * competition baseline while a team has few matches, then weighted by its record in its
+ * role (home side at home, away side away). Expected goals from each side's scoring and
+ * conceding shift it up or down, and past meetings between the two teams are blended in.
+ * The range narrows as history grows.
+ */
+class MatchPredictor {
+    /**
+     * @param {RatingCategories} categories - Category registry for the predicted category
+     */
+    constructor(categories = new RatingCategories()) {
+        this.categories = categories;
+    }
+
+    /**
+     * Per-team, per-competition and overall aggregates from rated matches
+     * @param {Array} history - Stored matches with ratings (as returned by getAllMatches)
+     */
+    buildStats(history) {
+        const rated = history.filter(match => match.rating && typeof match.rating.totalScore === 'number');
+        const teams = {};
+        const competitions = {};
+
+        const teamStats = name => {
+            if (!teams[name]) teams[name] = this.emptyTeamStats();
+            return teams[name];
+        };
+        const add = (record, score, goalsFor, goalsAgainst) => {
+            record.ratings.push(score);
+            record.goalsFor += goalsFor;
+            record.goalsAgainst += goalsAgainst;
+        };
+
+        rated.forEach(match => {
+            const score = match.rating.totalScore;
+            const home = teamStats(match.homeTeam);
+            const away = teamStats(match.awayTeam);
+
+            [home.all, home.home].forEach(record => add(record, score, match.homeScore, match.awayScore));
+            [away.all, away.away].forEach(record => add(record, score, match.awayScore, match.homeScore));
+
+            const key = match.competitionCode || match.competition;
+            if (!competitions[key]) competitions[key] = { ratings: [], goals: 0 };
+            competitions[key].ratings.push(score);
+            competitions[key].goals += match.homeScore + match.awayScore;
+        });
+
+        return {
+            rated,
+            teams,
+            competitions,
+            overall: {
+                ratings: rated.map(match => match.rating.totalScore),
+                goals: rated.reduce((sum, match) => sum + match.homeScore + match.awayScore, 0)
+            }
+        };
+    }
+
+    /**
+     * A team's records over all its matches and over its home and away games
+     */
+    emptyTeamStats() {
+        const record = () => ({ ratings: [], goalsFor: 0, goalsAgainst: 0 });
+        return { all: record(), home: record(), away: record() };
+    }
+
+    /**
+     * Predict watchability for every fixture
+     * @param {Array} fixtures - Scheduled matches in the internal match shape
+     * @param {Array} history - Stored matches with ratings
+     */
+    predictAll(fixtures, history) {
+        const stats = this.buildStats(history);
+        // Scores, goals and confidence mean nothing before kick-off, so only fixture details are returned
+        return fixtures.map(fixture => ({
+            id: fixture.id,
+            homeTeam: fixture.homeTeam,
+            awayTeam: fixture.awayTeam,
+            homeTeamId: fixture.homeTeamId || null,
+            awayTeamId: fixture.awayTeamId || null,
+            date: fixture.date,
+            status: fixture.status,
+            competition: fixture.competition,
+            competitionCode: fixture.competitionCode,
+            stage: fixture.stage,
+            prediction: this.predict(fixture, stats)
+        }));
+    }
+
+    /**
+     * Predict one fixture's watchability from pre-built stats
+     */
+    predict(fixture, stats) {
+        const baseline = this.getBaseline(fixture, stats);
+        const homeTeam = stats.teams[fixture.homeTeam] || this.emptyTeamStats();
+        const awayTeam = stats.teams[fixture.awayTeam] || this.emptyTeamStats();
+        const home = homeTeam.all;
+        const away = awayTeam.all;
+
+        // Each side's overall average, shrunk towards the baseline while history is thin,
+        // then weighted by its record in its role (home side at home, away side away)
+        const homeAverage = this.shrink(home.ratings, baseline.rating, TEAM_PRIOR_MATCHES);
+        const awayAverage = this.shrink(away.ratings, baseline.rating, TEAM_PRIOR_MATCHES);
+        const homeRating = this.shrink(homeTeam.home.ratings, homeAverage, SPLIT_PRIOR_MATCHES);
+        const awayRating = this.shrink(awayTeam.away.ratings, awayAverage, SPLIT_PRIOR_MATCHES);
+        let score = (homeRating + awayRating) / 2;
+
+        // Goals: home attack vs away defence and away attack vs home defence, split the same way
+        const perSideGoals = baseline.goals / 2;
+        const rate = (team, side, stat) => this.shrinkRate(team[side][stat], team[side].ratings.length,
+            this.shrinkRate(team.all[stat], team.all.ratings.length, perSideGoals, TEAM_PRIOR_MATCHES), SPLIT_PRIOR_MATCHES);
+        const homeGoals = (rate(homeTeam, 'home', 'goalsFor') + rate(awayTeam, 'away', 'goalsAgainst')) / 2;
+        const awayGoals = (rate(awayTeam, 'away', 'goalsFor') + rate(homeTeam, 'home', 'goalsAgainst')) / 2;
+        const expectedGoals = homeGoals + awayGoals;
+        const goalsAdjustment = (expectedGoals - baseline.goals) * POINTS_PER_EXPECTED_GOAL;
+        score += goalsAdjustment;
+
+        // Past meetings (either way round) pull the prediction towards how they went
+        const headToHead = stats.rated
+            .filter(match => (match.homeTeam === fixture.homeTeam && match.awayTeam === fixture.awayTeam)
+                || (match.homeTeam === fixture.awayTeam && match.awayTeam === fixture.homeTeam))
+            .map(match => match.rating.totalScore);
+        if (headToHead.length > 0) {
+            score = this.shrink(headToHead, score, HEAD_TO_HEAD_PRIOR_MATCHES);
+        }
+
+        score = Math.max(0, Math.min(100, Math.round(score)));
+
+        const sampleSize = home.ratings.length + away.ratings.length + headToHead.length;
+        const halfWidth = this.getRangeHalfWidth(baseline.spread, sampleSize);
+        const category = this.categories.getCategory(score);
+
+        return {
+            score,
+            range: {
+                low: Math.max(0, Math.round(score - halfWidth)),
+                high: Math.min(100, Math.round(score + halfWidth))
+            },
+            category: category.name,
+            categorySlug: category.slug,
+            confidence: sampleSize >= 12 ? 'high' : sampleSize >= 5 ? 'medium' : 'low',
+            inputs: {
+                baseline: Math.round(baseline.rating),
+                homeTeamAverage: Math.round(homeAverage),
+                homeTeamRating: Math.round(homeRating),
+                homeTeamMatches: home.ratings.length,
+                homeTeamHomeMatches: homeTeam.home.ratings.length,
+                awayTeamAverage: Math.round(awayAverage),
+                awayTeamRating: Math.round(awayRating),
+                awayTeamMatches: away.ratings.length,
+                awayTeamAwayMatches: awayTeam.away.ratings.length,
+                expectedGoals: Math.round(expectedGoals * 10) / 10,
+                goalsAdjustment: Math.round(goalsAdjustment),
+                headToHeadRating: headToHead.length > 0 ? Math.round(this.average(headToHead)) : null,
+                headToHeadMatches: headToHead.length
+            }
+        };
+    }
+
+    /**
+     * Competition averages when there are enough of them, otherwise the overall averages
+     */
+    getBaseline(fixture, stats) {
+        const competition = stats.competitions[fixture.competitionCode] || stats.competitions[fixture.competition];
+        const source = competition && competition.ratings.length >= TEAM_PRIOR_MATCHES ? competition : stats.overall;
+
+        if (source.ratings.length === 0) {
+            // No history at all: middle of the scale, a typical goals-per-game figure
+            return { rating: 50, goals: 2.7, spread: MAX_RANGE };
+        }
+
+        return {
+            rating: this.average(source.ratings),
+            goals: source.goals / source.ratings.length,
+            spread: this.standardDeviation(source.ratings)
+        };
+    }
+
+    /**
+     * Mean of the values pulled towards a prior, as if `priorMatches` matches at the prior were added
+     */
+    shrink(values, prior, priorMatches) {
+        return (values.reduce((sum, value) => sum + value, 0) + prior * priorMatches) / (values.length + priorMatches);
+    }
+
+    /**
+     * Per-match rate of a total, pulled towards a prior rate the same way
+     */
+    shrinkRate(total, matches, priorRate, priorMatches) {
+        return (total + priorRate * priorMatches) / (matches + priorMatches);
+    }
+
+    /**
+     * Roughly a 90% interval: the rating spread, narrowing with the amount of history
+     */
+    getRangeHalfWidth(spread, sampleSize) {
+        const halfWidth = 1.645 * spread / Math.sqrt(1 + sampleSize / 4);
+        return Math.max(MIN_RANGE, Math.min(MAX_RANGE, halfWidth));
+    }
+
+    average(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    standardDeviation(values) {
+        const mean = this.average(values);
+        return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+    }
+}
+
+module.exports = MatchPredictor;
@@ -0,0 +1,105 @@
+const FootballRatingEngine = require('./ratingEngine');
+const RatingProfiles = require('./ratingProfiles');
+const RatingCategories = require('./ratingCategories');
+
+class MatchRerater {
+    /**
+     * @param {FootballDatabase} database - Initialized database holding the stored matches
+     * @param {RatingProfiles} profiles - Loaded rating profiles
+     * @param {RatingCategories} categories - Category registry
+     */
+    constructor(database, profiles = new RatingProfiles(), categories = new RatingCategories()) {
+        this.database = database;
+        this.profiles = profiles;
+        this.categories = categories;
+        this.engines = {};
+    }
+
+    /**
+     * Get (and cache) the engine for a profile
+     */
+    getEngine(profileName) {
+        if (!this.engines[profileName]) {
+            this.engines[profileName] = new FootballRatingEngine(profileName, this.profiles, this.categories);
+        }
+        return this.engines[profileName];
+    }
+
+    /**
+     * Re-rate every stored match from its saved goals with the current engine
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Report the changes without saving anything
+     * @param {string} options.profile - Re-rate with this profile instead of each match's own
+     * @param {boolean} options.force - Add a new rating even when nothing would change
+     * @returns {Object} Summary and per-match changes
+     */
+    async run({ dryRun = false, profile = null, force = false } = {}) {
+        if (profile && !this.profiles.hasProfile(profile)) {
+            throw new Error(`Unknown rating profile: ${profile}`);
+        }
+
+        const matches = await this.database.getAllMatches();
+        console.log(`🔁 Re-rating ${matches.length} stored matches${dryRun ? ' (dry run)' : ''}...`);
+
+        const changes = [];
+
+        for (const match of matches) {
+            const previous = match.rating || { totalScore: 0, category: 'Unknown', profile: RatingProfiles.DEFAULT_PROFILE };
+            // Profiles that have since been removed fall back to the default
+            const profileName = profile
+                || (this.profiles.hasProfile(previous.profile) ? previous.profile : RatingProfiles.DEFAULT_PROFILE);
+            const rating = this.getEngine(profileName).calculateRating(match, { explain: true });
+
+            const change = {
+                id: match.id,
+                match: `${match.homeTeam} vs ${match.awayTeam}`,
+                date: match.date,
+                oldScore: previous.totalScore,
+                newScore: rating.totalScore,
+                scoreChange: rating.totalScore - previous.totalScore,
+                oldCategory: previous.category,
+                newCategory: rating.rating,
+                categoryChanged: previous.category !== rating.rating,
+                oldEngineVersion: previous.engineVersion || null,
+                oldProfile: previous.profile,
+                newProfile: profileName
+            };
+
+            const outdated = change.oldEngineVersion !== rating.engineVersion || change.oldProfile !== profileName;
+            change.updated = !dryRun && (force || outdated || change.scoreChange !== 0 || change.categoryChanged);
+
+            if (change.updated) {
+                await this.database.addRating(match.id, rating);
+            }
+
+            changes.push(change);
+        }
+
+        const summary = this.summarize(changes, dryRun);
+        console.log(`✅ Re-rating complete: ${summary.scoresChanged} scores and ${summary.categoriesChanged} categories changed, ${summary.updated} ratings written`);
+
+        return { summary, changes };
+    }
+
+    /**
+     * Summarize how much the scores and categories move
+     */
+    summarize(changes, dryRun) {
+        const moved = changes.filter(change => change.scoreChange !== 0);
+        const absoluteChanges = moved.map(change => Math.abs(change.scoreChange));
+
+        return {
+            dryRun,
+            engineVersion: FootballRatingEngine.ENGINE_VERSION,
+            matches: changes.length,
+            scoresChanged: moved.length,
+            categoriesChanged: changes.filter(change => change.categoryChanged).length,
+            averageAbsoluteChange: absoluteChanges.length > 0 ?
+                Math.round((absoluteChanges.reduce((sum, value) => sum + value, 0) / absoluteChanges.length) * 10) / 10 : 0,
+            largestChange: absoluteChanges.length > 0 ? Math.max(...absoluteChanges) : 0,
+            updated: changes.filter(change => change.updated).length
+        };
+    }
+}
+
+module.exports = MatchRerater;
@@ -0,0 +1,430 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const MatchDataProvider = require('./matchDataProvider');
+const RequestScheduler = require('./requestScheduler');
+const ResponseCache = require('./responseCache');
+
+const FINISHED_STATUSES = ['FINISHED'];
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'cache', 'football-data');
+
+// How long each kind of response stays fresh; finished matches rarely change, so they're kept longest
+const DEFAULT_CACHE_TTLS = {
+    live: 0,
+    finished: 24 * 60 * 60 * 1000,
+    matches: 5 * 60 * 1000,
+    match: 60 * 1000,
+    standings: 60 * 60 * 1000,
+    default: 5 * 60 * 1000
+};
+
+class FootballDataProvider extends MatchDataProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - football-data.org token (defaults to FOOTBALL_API_KEY)
+     * @param {string} options.recordDir - Save every raw response here for LocalFileProvider to replay
+     * @param {string} options.cacheDir - Response cache directory (defaults to PROVIDER_CACHE_DIR, 'off' disables it)
+     * @param {Object} options.cacheTtls - Per-endpoint cache lifetimes in ms (see DEFAULT_CACHE_TTLS)
+     * @param {Object} options.scheduler - RequestScheduler options
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = 'football-data';
+        
+        // Using Football-Data.org API with your token
+        this.baseURL = 'https://api.football-data.org/v4';
+        this.apiKey = options.apiKey || process.env.FOOTBALL_API_KEY || '10ddae532c634959b5deeffb65c6b83d';
+        this.recordDir = options.recordDir || process.env.PROVIDER_RECORD_DIR || null;
+        this.headers = {
+            'X-Auth-Token': this.apiKey,
+            'Content-Type': 'application/json'
+        };
+        
+        // Rate limiting: 10 calls per minute unless the API's headers say otherwise
+        this.scheduler = new RequestScheduler({ maxCallsPerMinute: 10, ...options.scheduler });
+        
+        this.cacheTtls = { ...DEFAULT_CACHE_TTLS, ...options.cacheTtls };
+        const cacheDir = options.cacheDir !== undefined ? options.cacheDir : (process.env.PROVIDER_CACHE_DIR || DEFAULT_CACHE_DIR);
+        this.cache = cacheDir && cacheDir !== 'off' ? new ResponseCache(cacheDir) : null;
+    }
+
+    /**
+     * Look up the football-data.org ID for a registry competition code
+     */
+    getProviderId(competitionCode) {
+        const competition = this.registry.resolve(competitionCode);
+        if (!competition) {
+            throw new Error(`Unknown competition code: ${competitionCode}`);
+        }
+        return competition.providerId;
+    }
+
+    /**
+     * Make an API request through the rate-limit-aware scheduler
+     */
+    async makeAPIRequest(url, params = {}) {
+        try {
+            console.log(`🌐 Making API request to: ${url}`);
+            const data = await this.scheduler.schedule(() => axios.get(url, {
+                headers: this.headers,
+                params: params
+            }));
+            
+            const { available } = this.scheduler.getStats();
+            console.log(`✅ API request successful.${available !== null ? ` Requests left this minute: ${available}` : ''}`);
+            return data;
+        } catch (error) {
+            console.error('❌ API request failed:', error.response?.status, error.response?.statusText);
+            throw error;
+        }
+    }
+
+    /**
+     * How long a response stays fresh in the cache
+     *
+     * Finished matches rarely change, so a single finished match - or a date range in the
+     * past where every match has finished - is kept for a day. It still expires, so a
+     * correction made upstream later is picked up by the next ingest or backfill.
+     */
+    getCacheTtl(apiPath, params, data) {
+        if (apiPath === '/matches') {
+            return this.cacheTtls.live;
+        }
+        
+        if (/^\/matches\/\d+$/.test(apiPath)) {
+            return data.status === 'FINISHED' ? this.cacheTtls.finished : this.cacheTtls.match;
+        }
+        
+        if (/\/standings$/.test(apiPath)) {
+            return this.cacheTtls.standings;
+        }
+        
+        if (/\/matches$/.test(apiPath)) {
+            const matches = data.matches || [];
+            const rangeIsOver = params.dateTo && params.dateTo < this.formatDate(new Date());
+            return rangeIsOver && matches.every(match => match.status === 'FINISHED') ?
+                this.cacheTtls.finished : this.cacheTtls.matches;
+        }
+        
+        return this.cacheTtls.default;
+    }
+
+    /**
+     * Request a path relative to the API base URL, from the cache when fresh, recording the response when asked
+     */
+    async request(apiPath, params = {}) {
+        const cached = this.cache ? this.cache.get(apiPath, params) : null;
+        if (cached) {
+            console.log(`🗄️ Cache hit for ${apiPath}`);
+            return cached;
+        }
+        
+        const data = await this.makeAPIRequest(`${this.baseURL}${apiPath}`, params);
+        
+        if (this.cache) {
+            this.cache.set(apiPath, params, data, this.getCacheTtl(apiPath, params, data));
+        }
+        
+        if (this.recordDir) {
+            const file = path.join(this.recordDir, `${apiPath.replace(/^\//, '')}.json`);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(data, null, 2));
+            console.log(`📼 Recorded response to ${file}`);
+        }
+        
+        return data;
+    }
+
+    /**
+     * Get matches for a competition in a specific date range, throwing on upstream errors
+     */
+    async fetchCompetitionMatches(competitionCode, dateFrom, dateTo, statuses = FINISHED_STATUSES) {
+        const competitionId = this.getProviderId(competitionCode);
+        const data = await this.request(`/competitions/${competitionId}/matches`, {
+            dateFrom,
+            dateTo
+        });
+        
+        return this.formatMatches(data.matches || [], statuses);
+    }
+
+    /**
+     * Get matches for a competition in a specific date range
+     */
+    async getCompetitionMatches(competitionCode, dateFrom, dateTo, statuses = FINISHED_STATUSES) {
+        try {
+            return await this.fetchCompetitionMatches(competitionCode, dateFrom, dateTo, statuses);
+        } catch (error) {
+            console.error(`Error fetching ${competitionCode} matches:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get matches still being played (including extra time and shootouts) from every configured competition
+     */
+    async getLiveMatches() {
+        const competitionIds = this.competitionCodes.map(code => this.getProviderId(code));
+        const data = await this.request('/matches', {
+            competitions: competitionIds.join(','),
+            status: MatchDataProvider.LIVE_STATUSES.join(',')
+        });
+        
+        return (data.matches || [])
+            .filter(match => MatchDataProvider.LIVE_STATUSES.includes(match.status))
+            .map(match => ({
+                ...this.formatMatch(match),
+                minute: match.minute || null,
+                injuryTime: match.injuryTime || null
+            }));
+    }
+
+    /**
+     * Format raw API match data into our standard format, keeping only the given statuses
+     */
+    formatMatches(matches, statuses = FINISHED_STATUSES) {
+        console.log(`📋 Raw matches received: ${matches.length}`);
+        
+        const wantedMatches = matches.filter(match => {
+            if (!statuses.includes(match.status)) {
+                console.log(`⏭️ Filtering out ${match.homeTeam.name} vs ${match.awayTeam.name} - Status: ${match.status}`);
+                return false;
+            }
+            return true;
+        });
+        
+        console.log(`✅ ${statuses.join('/')} matches after filtering: ${wantedMatches.length}`);
+        
+        return wantedMatches.map(match => this.formatMatch(match));
+    }
+
+    /**
+     * Normalize a single raw API match into the internal match shape
+     */
+    formatMatch(match) {
+        const homeTeam = this.resolveTeam(match.homeTeam.name, match.homeTeam.id, 'football-data');
+        const awayTeam = this.resolveTeam(match.awayTeam.name, match.awayTeam.id, 'football-data');
+
+        return {
+            id: match.id,
+            homeTeam: homeTeam.name,
+            awayTeam: awayTeam.name,
+            homeTeamId: homeTeam.id,
+            awayTeamId: awayTeam.id,
+            ...this.extractScores(match),
+            date: match.utcDate,
+            status: match.status,
+            competition: match.competition.name,
+            competitionCode: match.competition.code || null,
+            stage: match.stage || null,
+            matchday: match.matchday ?? null,
+            goals: this.extractGoals(match),
+            events: this.extractEvents(match),
+            dataConfidence: this.getDataConfidence(match),
+            source: 'football-data'
+        };
+    }
+
+    /**
+     * Extract scores, extra time and shootout results from match data
+     * football-data.org includes shootout kicks in fullTime, so the match score
+     * is rebuilt from regularTime + extraTime when the game went to penalties
+     */
+    extractScores(match) {
+        const score = match.score || {};
+        const duration = score.duration || 'REGULAR';
+        const fullTime = score.fullTime || {};
+        const extraTime = duration !== 'REGULAR' && score.extraTime ? {
+            home: score.extraTime.home || 0,
+            away: score.extraTime.away || 0
+        } : null;
+        const penalties = duration === 'PENALTY_SHOOTOUT' && score.penalties ? {
+            home: score.penalties.home || 0,
+            away: score.penalties.away || 0
+        } : null;
+
+        let homeScore = fullTime.home || 0;
+        let awayScore = fullTime.away || 0;
+
+        if (penalties) {
+            if (score.regularTime) {
+                homeScore = (score.regularTime.home || 0) + (extraTime ? extraTime.home : 0);
+                awayScore = (score.regularTime.away || 0) + (extraTime ? extraTime.away : 0);
+            } else {
+                homeScore -= penalties.home;
+                awayScore -= penalties.away;
+            }
+        }
+
+        return { homeScore, awayScore, duration, extraTime, penalties };
+    }
+
+    /**
+     * Extract goal information from match data
+     */
+    extractGoals(match) {
+        const goals = [];
+        
+        // Use real goal data if available from the API
+        if (match.goals && match.goals.length > 0) {
+            match.goals.forEach(goal => {
+                const isHomeTeam = goal.team.id === match.homeTeam.id;
+                goals.push({
+                    team: isHomeTeam ? 'home' : 'away',
+                    minute: goal.minute,
+                    injuryTime: goal.injuryTime || 0,
+                    scorer: goal.scorer.name,
+                    type: goal.type || 'REGULAR'
+                });
+            });
+            
+            return goals.sort((a, b) => (a.minute - b.minute) || (a.injuryTime - b.injuryTime));
+        }
+        
+        // Fallback: placeholder goals from the final score when goal details aren't available
+        // They carry no minute, so the rating engine only counts them toward goal volume
+        const { homeScore, awayScore } = this.extractScores(match);
+        
+        for (let i = 0; i < homeScore; i++) {
+            goals.push({
+                team: 'home',
+                minute: null,
+                scorer: 'Unknown',
+                type: 'REGULAR'
+            });
+        }
+        
+        for (let i = 0; i < awayScore; i++) {
+            goals.push({
+                team: 'away',
+                minute: null,
+                scorer: 'Unknown',
+                type: 'REGULAR'
+            });
+        }
+        
+        return goals;
+    }
+
+    /**
+     * How much real event data a match came with
+     * 0-0 draws need no goal details, so they count as full data
+     */
+    getDataConfidence(match) {
+        const hasGoalDetails = Boolean(match.goals && match.goals.length > 0);
+        const { homeScore, awayScore } = this.extractScores(match);
+        
+        return hasGoalDetails || homeScore + awayScore === 0 ? 'full' : 'score-only';
+    }
+
+    /**
+     * Extract non-goal events (red cards, substitutions, missed penalties) from match details
+     * football-data.org doesn't report VAR decisions, so DISALLOWED_GOAL events only
+     * come from matches posted directly to /api/rate-match
+     */
+    extractEvents(match) {
+        const events = [];
+        const sideOf = team => (team && team.id === match.homeTeam.id ? 'home' : 'away');
+        
+        (match.bookings || []).forEach(booking => {
+            if (booking.card === 'RED' || booking.card === 'YELLOW_RED') {
+                events.push({
+                    type: 'RED_CARD',
+                    minute: booking.minute,
+                    team: sideOf(booking.team),
+                    player: booking.player?.name || 'Unknown'
+                });
+            }
+        });
+        
+        (match.substitutions || []).forEach(substitution => {
+            events.push({
+                type: 'SUBSTITUTION',
+                minute: substitution.minute,
+                team: sideOf(substitution.team),
+                player: substitution.playerIn?.name || 'Unknown'
+            });
+        });
+        
+        // Shootout kicks have no minute - only in-game penalties count here
+        (match.penalties || []).forEach(penalty => {
+            if (penalty.scored === false && penalty.minute) {
+                events.push({
+                    type: 'MISSED_PENALTY',
+                    minute: penalty.minute,
+                    team: sideOf(penalty.team),
+                    player: penalty.player?.name || 'Unknown'
+                });
+            }
+        });
+        
+        return events.sort((a, b) => a.minute - b.minute);
+    }
+
+    /**
+     * Get detailed match information including goals
+     */
+    async getMatchDetails(matchId) {
+        try {
+            const match = await this.fetchMatchDetails(matchId);
+            
+            // Only return details for finished matches
+            if (match.status !== 'FINISHED') {
+                console.log(`Match ${matchId} is not finished (status: ${match.status}), skipping`);
+                return null;
+            }
+            
+            return match;
+        } catch (error) {
+            console.error('Error fetching match details:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get one match with its goals whatever its status, letting upstream errors through
+     */
+    async fetchMatchDetails(matchId) {
+        const data = await this.request(`/matches/${matchId}`);
+        return this.formatMatch(data);
+    }
+
+    /**
+     * Get the current league table (total standings) for a competition
+     */
+    async getStandings(competitionCode) {
+        try {
+            const competitionId = this.getProviderId(competitionCode);
+            const data = await this.request(`/competitions/${competitionId}/standings`);
+            const total = (data.standings || []).find(standing => standing.type === 'TOTAL');
+            
+            return (total ? total.table : []).map(row => ({
+                position: row.position,
+                team: row.team.name,
+                playedGames: row.playedGames,
+                won: row.won,
+                draw: row.draw,
+                lost: row.lost,
+                goalsFor: row.goalsFor,
+                goalsAgainst: row.goalsAgainst,
+                points: row.points
+            }));
+        } catch (error) {
+            console.error('Error fetching standings:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Request queue and cache stats for /api/health
+     */
+    getStats() {
+        return {
+            scheduler: this.scheduler.getStats(),
+            cache: this.cache ? this.cache.getStats() : null
+        };
+    }
+}
+
+module.exports = FootballDataProvider;
@@ -0,0 +1,24 @@
+const FootballDataProvider = require('./footballDataProvider');
+const LocalFileProvider = require('./localFileProvider');
+
+// Register new data sources here - server.js only ever sees the provider interface
+const PROVIDERS = {
+    'football-data': FootballDataProvider,
+    'local': LocalFileProvider
+};
+
+/**
+ * Create the configured match data provider (MATCH_PROVIDER, default football-data)
+ */
+function createProvider(name = process.env.MATCH_PROVIDER || 'football-data', options = {}) {
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+        throw new Error(`Unknown match data provider: ${name} (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    console.log(`🔌 Using match data provider: ${name}`);
+    return new Provider(options);
+}
+
+module.exports = { createProvider, PROVIDERS };
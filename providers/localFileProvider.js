@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const FootballDataProvider = require('./footballDataProvider');
+
+/**
+ * Replays recorded football-data.org responses from disk
+ *
+ * Responses live under the fixtures directory at their API path, e.g.
+ * competitions/2021/matches.json or matches/537837.json. Record new ones by running
+ * the football-data provider with PROVIDER_RECORD_DIR set. Query parameters such as
+ * date ranges are ignored - the recorded response is replayed as-is.
+ */
+class LocalFileProvider extends FootballDataProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.fixturesDir - Directory of recorded responses (defaults to PROVIDER_FIXTURES_DIR)
+     */
+    constructor(options = {}) {
+        super({ ...options, recordDir: null, cacheDir: null });
+        this.name = 'local';
+        this.fixturesDir = options.fixturesDir
+            || process.env.PROVIDER_FIXTURES_DIR
+            || path.join(__dirname, '..', 'fixtures', 'football-data');
+    }
+
+    /**
+     * Read the recorded response for an API path instead of calling the API
+     */
+    async request(apiPath) {
+        const file = path.join(this.fixturesDir, `${apiPath.replace(/^\//, '')}.json`);
+
+        if (!fs.existsSync(file)) {
+            throw new Error(`No recorded response for ${apiPath} (expected ${file})`);
+        }
+
+        console.log(`📼 Replaying recorded response from ${file}`);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Replays never touch the network, so there is nothing to report
+     */
+    getStats() {
+        return null;
+    }
+}
+
+module.exports = LocalFileProvider;
@@ -0,0 +1,149 @@
+const CompetitionRegistry = require('../competitionRegistry');
+const TeamRegistry = require('../teamRegistry');
+
+// football-data.org uses TIMED once the kick-off time is confirmed
+const UPCOMING_STATUSES = ['SCHEDULED', 'TIMED'];
+
+// Still being played: knockout matches go on into extra time and a shootout
+const LIVE_STATUSES = ['IN_PLAY', 'PAUSED', 'EXTRA_TIME', 'PENALTY_SHOOTOUT'];
+
+/**
+ * Base class for match data providers
+ *
+ * Every provider normalizes its source into the internal match shape:
+ * {
+ *   id, homeTeam, awayTeam, homeTeamId, awayTeamId, homeScore, awayScore, date, status,
+ *   competition, competitionCode, stage, matchday,
+ *   duration, extraTime, penalties,
+ *   goals: [{ team: 'home'|'away', minute, injuryTime, scorer, type }],
+ *   events: [{ type, minute, team, player }],
+ *   dataConfidence: 'full'|'score-only',
+ *   source: provider name (imported matches carry their own tag)
+ * }
+ * Subclasses implement getCompetitionMatches, getMatchDetails and getStandings.
+ */
+class MatchDataProvider {
+    /**
+     * @param {Object} options
+     * @param {CompetitionRegistry} options.registry - Competition registry (loaded from config when omitted)
+     * @param {TeamRegistry} options.teams - Team registry (loaded from config when omitted)
+     * @param {Array} options.competitionCodes - Competitions to fetch (defaults to every enabled one)
+     */
+    constructor(options = {}) {
+        this.name = 'base';
+        this.registry = options.registry || new CompetitionRegistry();
+        this.teams = options.teams || new TeamRegistry();
+        this.competitionCodes = options.competitionCodes
+            || this.registry.listCompetitions().map(competition => competition.code);
+    }
+
+    /**
+     * Canonical name and registry ID for a team as a source names it (unknown teams keep their name)
+     */
+    resolveTeam(name, providerId, source = this.name) {
+        const team = this.teams.resolve(name, { source, providerId });
+        return { name: team ? team.name : name, id: team ? team.id : null };
+    }
+
+    /**
+     * Get normalized matches for one competition in a date range (YYYY-MM-DD),
+     * keeping only the given statuses (finished matches by default)
+     */
+    async getCompetitionMatches(competitionCode, dateFrom, dateTo, statuses) {
+        throw new Error(`${this.name} provider does not implement getCompetitionMatches`);
+    }
+
+    /**
+     * Like getCompetitionMatches, but lets upstream errors through so the caller can stop and retry
+     */
+    async fetchCompetitionMatches(competitionCode, dateFrom, dateTo, statuses) {
+        throw new Error(`${this.name} provider does not implement fetchCompetitionMatches`);
+    }
+
+    /**
+     * Get matches still being played (LIVE_STATUSES) with the current minute added, throwing on upstream errors
+     */
+    async getLiveMatches() {
+        throw new Error(`${this.name} provider does not implement getLiveMatches`);
+    }
+
+    /**
+     * Get a single normalized match with full goal details, or null
+     */
+    async getMatchDetails(matchId) {
+        throw new Error(`${this.name} provider does not implement getMatchDetails`);
+    }
+
+    /**
+     * Get a single normalized match with full goal details whatever its status, throwing on upstream errors
+     */
+    async fetchMatchDetails(matchId) {
+        throw new Error(`${this.name} provider does not implement fetchMatchDetails`);
+    }
+
+    /**
+     * Get the league table for a competition:
+     * [{ position, team, playedGames, won, draw, lost, goalsFor, goalsAgainst, points }]
+     */
+    async getStandings(competitionCode) {
+        throw new Error(`${this.name} provider does not implement getStandings`);
+    }
+
+    /**
+     * Get recent matches from every configured competition (or just the ones given)
+     */
+    async getRecentMatches(days = 7, competitionCodes = this.competitionCodes) {
+        const today = new Date();
+        const dateFrom = new Date(today.getTime() - (days * 24 * 60 * 60 * 1000));
+        const dateTo = new Date(today.getTime() + (1 * 24 * 60 * 60 * 1000)); // Include next 1 day
+
+        console.log(`📅 Fetching matches from ${this.formatDate(dateFrom)} to ${this.formatDate(dateTo)}`);
+
+        const allMatches = await this.getMatchesForAllCompetitions(this.formatDate(dateFrom), this.formatDate(dateTo), competitionCodes);
+        console.log(`📊 Total matches found: ${allMatches.length}`);
+
+        return allMatches;
+    }
+
+    /**
+     * Get scheduled matches from every configured competition (or just the ones given),
+     * throwing on upstream errors so a failed fetch doesn't look like an empty schedule
+     */
+    async getUpcomingMatches(days = 7, competitionCodes = this.competitionCodes) {
+        const today = new Date();
+        const dateTo = new Date(today.getTime() + (days * 24 * 60 * 60 * 1000));
+        const results = await Promise.all(competitionCodes.map(code =>
+            this.fetchCompetitionMatches(code, this.formatDate(today), this.formatDate(dateTo), UPCOMING_STATUSES)));
+
+        return results.flat();
+    }
+
+    /**
+     * Fetch a date range from every configured competition in parallel
+     */
+    async getMatchesForAllCompetitions(dateFrom, dateTo, competitionCodes = this.competitionCodes, statuses) {
+        const results = await Promise.all(
+            competitionCodes.map(code => this.getCompetitionMatches(code, dateFrom, dateTo, statuses))
+        );
+
+        return results.flat();
+    }
+
+    /**
+     * Request/cache stats for /api/health (null when the provider keeps none)
+     */
+    getStats() {
+        return null;
+    }
+
+    /**
+     * Format date for API
+     */
+    formatDate(date) {
+        return date.toISOString().split('T')[0];
+    }
+}
+
+MatchDataProvider.LIVE_STATUSES = LIVE_STATUSES;
+
+module.exports = MatchDataProvider;
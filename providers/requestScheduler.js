@@ -0,0 +1,198 @@
+/**
+ * Serial request queue that respects the API's rate limit
+ *
+ * Requests run one at a time. football-data.org reports the calls left in the current
+ * window (X-Requests-Available-Minute) and the seconds until it resets
+ * (X-RequestCounter-Reset); when the budget runs out the queue waits for the reset instead
+ * of burning a 429. Without those headers it falls back to a fixed calls-per-minute window.
+ * 429s wait for the reset and network errors or 5xx responses retry with exponential backoff.
+ */
+class RequestScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxCallsPerMinute - Fallback limit when the API sends no rate-limit headers
+     * @param {number} options.maxRetries - Retries per request after the first attempt
+     * @param {number} options.baseDelayMs - First backoff delay, doubled on every retry
+     * @param {number} options.maxDelayMs - Upper bound for a single wait
+     */
+    constructor(options = {}) {
+        this.maxCallsPerMinute = options.maxCallsPerMinute || 10;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 60 * 1000;
+
+        this.queue = [];
+        this.running = false;
+        this.callHistory = [];
+        this.available = null;
+        this.resetAt = null;
+
+        this.stats = {
+            requests: 0,
+            succeeded: 0,
+            failed: 0,
+            retries: 0,
+            rateLimited: 0
+        };
+    }
+
+    /**
+     * Queue a request. `task` is called with no arguments and must return an axios-style
+     * promise ({ data, headers } on success, error.response on failure).
+     * @returns {Promise} Resolves with the response data
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.processQueue();
+        });
+    }
+
+    /**
+     * Work through the queue one request at a time
+     */
+    async processQueue() {
+        if (this.running) return;
+        this.running = true;
+
+        while (this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+
+            try {
+                resolve(await this.run(task));
+            } catch (error) {
+                reject(error);
+            }
+        }
+
+        this.running = false;
+    }
+
+    /**
+     * Run one request, retrying on 429s, 5xx responses and network errors
+     */
+    async run(task) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForBudget();
+
+            this.stats.requests++;
+            this.callHistory.push(Date.now());
+
+            try {
+                const response = await task();
+                this.readRateLimitHeaders(response.headers);
+                this.stats.succeeded++;
+                return response.data;
+            } catch (error) {
+                const status = error.response?.status;
+                if (error.response) {
+                    this.readRateLimitHeaders(error.response.headers);
+                }
+
+                if (!this.isRetryable(status) || attempt >= this.maxRetries) {
+                    this.stats.failed++;
+                    throw error;
+                }
+
+                this.stats.retries++;
+                let delay = this.getBackoffDelay(attempt);
+
+                if (status === 429) {
+                    this.stats.rateLimited++;
+                    this.available = 0;
+                    delay = Math.max(delay, this.getResetDelay());
+                }
+
+                console.log(`🔁 Request failed (${status || error.code || error.message}), retry ${attempt + 1}/${this.maxRetries} in ${Math.ceil(delay / 1000)}s`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Wait until the current rate-limit window has a call left
+     */
+    async waitForBudget() {
+        // The API told us how many calls are left - trust it over our own count
+        if (this.available !== null && this.resetAt !== null) {
+            if (this.available <= 0 && Date.now() < this.resetAt) {
+                const waitTime = this.getResetDelay();
+                console.log(`⏳ Rate limit reached. Waiting ${Math.ceil(waitTime / 1000)} seconds for the counter to reset...`);
+                await this.sleep(waitTime);
+            }
+            if (Date.now() >= this.resetAt) {
+                this.available = null;
+                this.resetAt = null;
+            }
+            return;
+        }
+
+        const now = Date.now();
+        this.callHistory = this.callHistory.filter(timestamp => timestamp > now - (60 * 1000));
+
+        if (this.callHistory.length >= this.maxCallsPerMinute) {
+            const waitTime = (Math.min(...this.callHistory) + (60 * 1000)) - now;
+            if (waitTime > 0) {
+                console.log(`⏳ Rate limit reached. Waiting ${Math.ceil(waitTime / 1000)} seconds...`);
+                await this.sleep(waitTime);
+            }
+        }
+    }
+
+    /**
+     * Remember the remaining budget and reset time reported by the API
+     */
+    readRateLimitHeaders(headers = {}) {
+        const available = parseInt(headers['x-requests-available-minute'], 10);
+        const resetSeconds = parseInt(headers['x-requestcounter-reset'], 10);
+
+        if (!isNaN(available)) {
+            this.available = available;
+        }
+        if (!isNaN(resetSeconds)) {
+            this.resetAt = Date.now() + (resetSeconds * 1000);
+        }
+    }
+
+    /**
+     * 429s, server errors and network failures (no response) are worth retrying
+     */
+    isRetryable(status) {
+        return status === undefined || status === 429 || status >= 500;
+    }
+
+    /**
+     * Exponential backoff with a little jitter so retries don't line up
+     */
+    getBackoffDelay(attempt) {
+        const delay = this.baseDelayMs * Math.pow(2, attempt);
+        return Math.min(delay + Math.floor(Math.random() * this.baseDelayMs), this.maxDelayMs);
+    }
+
+    /**
+     * Milliseconds until the API's request counter resets (a full minute when unknown)
+     */
+    getResetDelay() {
+        const delay = this.resetAt !== null ? this.resetAt - Date.now() : 60 * 1000;
+        return Math.min(Math.max(delay, 0), this.maxDelayMs);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Queue and rate-limit state for /api/health
+     */
+    getStats() {
+        return {
+            queueDepth: this.queue.length,
+            busy: this.running,
+            available: this.available,
+            resetInSeconds: this.resetAt !== null ? Math.max(0, Math.ceil((this.resetAt - Date.now()) / 1000)) : null,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = RequestScheduler;
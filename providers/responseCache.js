@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * On-disk cache of raw API responses
+ *
+ * Each response is stored as one JSON file keyed by its API path and query parameters,
+ * with an expiry time. An expiry of null means the response never goes stale (used for
+ * finished matches). Write failures are logged and ignored so a read-only filesystem
+ * only costs us the cache.
+ */
+class ResponseCache {
+    /**
+     * @param {string} cacheDir - Directory to keep cached responses in
+     */
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir;
+        this.stats = { hits: 0, misses: 0, writes: 0 };
+    }
+
+    /**
+     * File holding the cached response for a request
+     */
+    getFile(apiPath, params = {}) {
+        const query = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+        const hash = crypto.createHash('sha1').update(`${apiPath}?${query}`).digest('hex');
+        return path.join(this.cacheDir, `${hash}.json`);
+    }
+
+    /**
+     * Get a fresh cached response, or null
+     */
+    get(apiPath, params = {}) {
+        const file = this.getFile(apiPath, params);
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (entry.expiresAt === null || Date.parse(entry.expiresAt) > Date.now()) {
+                this.stats.hits++;
+                return entry.data;
+            }
+        } catch (error) {
+            // Missing or unreadable entries are just misses
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    /**
+     * Store a response
+     * @param {number} ttlMs - How long it stays fresh (Infinity = forever, 0 = don't cache)
+     */
+    set(apiPath, params, data, ttlMs) {
+        if (!ttlMs || ttlMs <= 0) return;
+
+        const entry = {
+            apiPath,
+            params,
+            fetchedAt: new Date().toISOString(),
+            expiresAt: ttlMs === Infinity ? null : new Date(Date.now() + ttlMs).toISOString(),
+            data
+        };
+
+        try {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+            fs.writeFileSync(this.getFile(apiPath, params), JSON.stringify(entry));
+            this.stats.writes++;
+        } catch (error) {
+            console.warn(`⚠️ Could not write response cache for ${apiPath}:`, error.message);
+        }
+    }
+
+    /**
+     * Hit rate and counters for /api/health
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            dir: this.cacheDir,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null
+        };
+    }
+}
+
+module.exports = ResponseCache;
@@ -1,17 +1,36 @@
 // Global variables
 let currentTab = 'matches';
 let ratingCategories = [];
+let competitions = [];
+let liveMatches = new Map();
+
+// Fixtures whose past meetings average REALLY Good or better, keyed like the server's fixture key
+let bangerFixtures = new Map();
+
+// Match lists load a page at a time; this tracks each list's query and where its next page starts
+const PAGE_SIZE = 24;
+const matchPages = new Map();
+
+// Team filter suggestions wait for a pause in typing
+const TEAM_SEARCH_DELAY_MS = 250;
+let teamSearchTimer = null;
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async function() {
     const isHealthy = await checkHealth();
     loadRatingCategories();
+    setupTeamFilter();
+    loadTeamOptions();
+    await loadCompetitions();
     
     if (isHealthy) {
-        // Load existing matches from database
+        // Matches are ingested by the server's scheduled jobs - just read what's stored
+        await loadBangerFixtures();
         loadMatches();
-        // Then fetch new matches in the background
-        autoFetchMatches();
+        loadTopRated();
+        competitions.forEach(competition => loadCompetitionMatches(competition.code));
+        loadIngestionStatus();
+        connectLiveStream();
     }
 });
 
@@ -57,7 +76,7 @@ function showTab(tabName) {
     
     // Show selected tab
     document.getElementById(tabName).classList.add('active');
-    document.querySelector(`[onclick="showTab('${tabName}')"]`).classList.add('active');
+    document.querySelector(`.tab-button[data-tab="${tabName}"]`).classList.add('active');
     
     currentTab = tabName;
     
@@ -69,38 +88,155 @@ function showTab(tabName) {
         case 'top-rated':
             loadTopRated();
             break;
-        case 'premier-league':
-            loadCompetitionMatches('Premier League');
+        case 'live':
+            displayLiveMatches();
+            break;
+        case 'upcoming':
+            loadUpcoming();
             break;
-        case 'champions-league':
-            loadCompetitionMatches('Champions League');
+        case 'teams':
+            loadTeamStats();
             break;
+        default:
+            if (tabName.startsWith('competition-')) {
+                loadCompetitionMatches(tabName.replace('competition-', ''));
+            }
     }
 }
 
+// Load the configured competitions and build a tab for each one
+async function loadCompetitions() {
+    try {
+        const response = await fetch('/api/competitions');
+        const data = await response.json();
+        competitions = data.competitions;
+        renderCompetitionTabs();
+    } catch (error) {
+        console.error('Error loading competitions:', error);
+    }
+}
+
+// Add a tab button and tab content for every enabled competition
+function renderCompetitionTabs() {
+    const nav = document.querySelector('.tabs');
+    const main = document.querySelector('main');
+    
+    competitions.forEach(competition => {
+        const tabName = `competition-${competition.code}`;
+        
+        const button = document.createElement('button');
+        button.className = 'tab-button';
+        button.dataset.tab = tabName;
+        button.textContent = competition.name;
+        button.addEventListener('click', () => showTab(tabName));
+        nav.appendChild(button);
+        
+        const content = document.createElement('div');
+        content.id = tabName;
+        content.className = 'tab-content';
+        content.innerHTML = `
+            <div class="section-header">
+                <h2>${escapeHtml(competition.name)} Matches</h2>
+                <button class="btn btn-primary">Refresh</button>
+            </div>
+            <div id="${tabName}-list" class="matches-grid">
+                <div class="loading">Loading ${escapeHtml(competition.name)} matches...</div>
+            </div>
+        `;
+        content.querySelector('.btn').addEventListener('click', () => loadCompetitionMatches(competition.code));
+        main.appendChild(content);
+    });
+}
+
 // Load rating categories
 async function loadRatingCategories() {
     try {
         const response = await fetch('/api/rating-categories');
         const data = await response.json();
         ratingCategories = data.categories;
+        applyCategoryStyles();
     } catch (error) {
         console.error('Error loading rating categories:', error);
     }
 }
 
-// Load all matches
-async function loadMatches() {
-    const container = document.getElementById('matches-list');
-    container.innerHTML = '<div class="loading">Loading matches...</div>';
+// Build the .rating-<slug> CSS classes from the category registry
+function applyCategoryStyles() {
+    let styleElement = document.getElementById('rating-category-styles');
+    if (!styleElement) {
+        styleElement = document.createElement('style');
+        styleElement.id = 'rating-category-styles';
+        document.head.appendChild(styleElement);
+    }
+    
+    styleElement.textContent = ratingCategories
+        .map(category => `.rating-${category.slug} { background: ${category.color}; color: white; }`)
+        .join('\n');
+}
+
+// Find the registry slug for a category name
+function getCategorySlug(rating) {
+    if (rating.categorySlug) return rating.categorySlug;
+    const category = ratingCategories.find(cat => cat.name === rating.category);
+    return category ? category.slug : 'unknown';
+}
+
+// Load all matches (only the filtered team's when the team box is filled in)
+function loadMatches() {
+    const team = document.getElementById('team-filter').value.trim();
+    return loadMatchPage('matches-list', team ? { team } : {});
+}
+
+// Suggest teams from /api/teams as the user types, and filter once one is picked or Enter is pressed
+function setupTeamFilter() {
+    const input = document.getElementById('team-filter');
+    const options = document.getElementById('team-options');
+    
+    input.addEventListener('input', () => {
+        clearTimeout(teamSearchTimer);
+        teamSearchTimer = setTimeout(async () => {
+            const search = input.value.trim();
+            if (!search) {
+                options.innerHTML = '';
+                loadMatches();
+                return;
+            }
+            
+            try {
+                const response = await fetch(`/api/teams?search=${encodeURIComponent(search)}`);
+                const { teams } = await response.json();
+                options.innerHTML = teams.map(team => `<option value="${escapeHtml(team.name)}">${escapeHtml(team.shortName)}</option>`).join('');
+                
+                // Picking a suggestion fills the box with a full team name
+                if (teams.some(team => team.name === search)) loadMatches();
+            } catch (error) {
+                console.error('Error searching teams:', error);
+            }
+        }, TEAM_SEARCH_DELAY_MS);
+    });
+    
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') loadMatches();
+    });
+}
+
+// Load a page of matches from /api/matches into a list (append adds the next page)
+async function loadMatchPage(containerId, params = {}, append = false) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const state = append ? matchPages.get(containerId) : { params, cursor: null, shown: 0 };
+    if (!append) {
+        container.innerHTML = '<div class="loading">Loading matches...</div>';
+    }
     
     try {
-        console.log('Fetching matches from:', '/api/matches');
-        const response = await fetch('/api/matches');
-        console.log('Response status:', response.status);
+        const query = new URLSearchParams({ ...state.params, limit: PAGE_SIZE });
+        if (state.cursor) query.set('cursor', state.cursor);
+        
+        const response = await fetch(`/api/matches?${query}`);
         
         if (response.status === 503) {
-            const errorData = await response.json();
             container.innerHTML = `<div class="error-message">Database initializing... Please wait a moment and refresh.</div>`;
             return;
         }
@@ -109,16 +245,222 @@ async function loadMatches() {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        const matches = await response.json();
-        console.log('Received matches:', matches.length);
-        console.log('Matches data:', matches);
-        displayMatches(matches, container);
+        const page = await response.json();
+        if (append) {
+            container.insertAdjacentHTML('beforeend', page.matches.map(match => createMatchCard(match)).join(''));
+        } else {
+            displayMatches(page.matches, container);
+        }
+        
+        state.cursor = page.pagination.nextCursor;
+        state.shown += page.matches.length;
+        matchPages.set(containerId, state);
+        renderPager(container, state, page.pagination.total);
     } catch (error) {
         console.error('Error loading matches:', error);
         container.innerHTML = `<div class="error-message">Failed to load matches: ${error.message}</div>`;
     }
 }
 
+// Show how much of a list is loaded, with a button for the next page
+function renderPager(container, state, total) {
+    let pager = document.getElementById(`${container.id}-pager`);
+    if (!pager) {
+        pager = document.createElement('div');
+        pager.id = `${container.id}-pager`;
+        pager.className = 'pager';
+        container.insertAdjacentElement('afterend', pager);
+    }
+    
+    pager.innerHTML = total > 0 ? `
+        <span>Showing ${state.shown} of ${total} matches</span>
+        ${state.cursor ? '<button class="btn btn-primary">Load more</button>' : ''}
+    ` : '';
+    
+    const button = pager.querySelector('.btn');
+    if (button) {
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            loadMatchPage(container.id, state.params, true);
+        });
+    }
+}
+
+// Fill the team page's picker from the registry
+async function loadTeamOptions() {
+    try {
+        const response = await fetch('/api/teams');
+        const { teams } = await response.json();
+        document.getElementById('team-select').insertAdjacentHTML('beforeend',
+            teams.map(team => `<option value="${escapeHtml(team.id)}">${escapeHtml(team.name)}</option>`).join(''));
+    } catch (error) {
+        console.error('Error loading teams:', error);
+    }
+}
+
+// Open a team's page (team names on match cards link here)
+function openTeamPage(teamId) {
+    document.getElementById('team-select').value = teamId;
+    showTab('teams');
+}
+
+// Load and render the selected team's watchability profile
+async function loadTeamStats() {
+    const teamId = document.getElementById('team-select').value;
+    const container = document.getElementById('team-stats');
+    if (!teamId) return;
+    
+    container.innerHTML = '<div class="loading">Loading team stats...</div>';
+    
+    try {
+        const response = await fetch(`/api/teams/${encodeURIComponent(teamId)}/stats`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        container.innerHTML = createTeamStats(await response.json());
+    } catch (error) {
+        console.error('Error loading team stats:', error);
+        container.innerHTML = `<div class="error-message">Failed to load team stats: ${error.message}</div>`;
+    }
+}
+
+// Team page: averages, splits, categories, trend and highlights - ratings only, never a result
+function createTeamStats(stats) {
+    if (stats.matches === 0) {
+        return `<div class="loading">No rated matches stored for ${escapeHtml(stats.team.name)} yet</div>`;
+    }
+    
+    const figure = (label, value) => `
+        <div class="team-stat">
+            <div class="breakdown-label">${label}</div>
+            <div class="team-stat-value">${value === null ? '-' : value}</div>
+        </div>
+    `;
+    const mostCategory = Math.max(...stats.categories.map(category => category.count));
+    
+    return `
+        <div class="team-header">
+            ${stats.team.crest ? `<img class="team-crest" src="${escapeHtml(stats.team.crest)}" alt="">` : ''}
+            <div>
+                <h3>${escapeHtml(stats.team.name)}</h3>
+                <div class="match-date">${stats.matches} rated matches</div>
+            </div>
+        </div>
+        
+        <div class="team-stats-grid">
+            ${figure('Average', stats.averageScore)}
+            ${figure('Median', stats.medianScore)}
+            ${figure(`Home (${stats.home.matches})`, stats.home.averageScore)}
+            ${figure(`Away (${stats.away.matches})`, stats.away.averageScore)}
+            ${figure('Both teams scored', `${Math.round(stats.bothTeamsScored.share * 100)}%`)}
+        </div>
+        
+        <div class="team-section">
+            <h4>Trend (${stats.trend.window}-match rolling average)</h4>
+            ${createTrendChart(stats.trend.points)}
+        </div>
+        
+        <div class="team-section">
+            <h4>Categories</h4>
+            ${stats.categories.map(category => `
+                <div class="category-bar">
+                    <span class="rating-category rating-${category.slug}">${category.name}</span>
+                    <div class="category-bar-track">
+                        <div class="category-bar-fill rating-${category.slug}" style="width: ${mostCategory > 0 ? category.count / mostCategory * 100 : 0}%"></div>
+                    </div>
+                    <span>${category.count}</span>
+                </div>
+            `).join('')}
+        </div>
+        
+        <div class="team-section">
+            <h4>Average Breakdown</h4>
+            <div class="rating-breakdown">
+                ${figure('Goal Volume', stats.breakdown.goalVolume)}
+                ${figure('Goal Timing', stats.breakdown.goalTiming)}
+                ${figure('Distribution', stats.breakdown.goalDistribution)}
+                ${figure('Drama', stats.breakdown.drama)}
+            </div>
+        </div>
+        
+        <div class="team-section team-highlights">
+            <div>
+                <h4>Most Watchable</h4>
+                ${stats.mostWatchable.map(createTeamMatchRow).join('')}
+            </div>
+            <div>
+                <h4>Least Watchable</h4>
+                ${stats.leastWatchable.map(createTeamMatchRow).join('') || '<div class="match-date">Not enough matches yet</div>'}
+            </div>
+        </div>
+    `;
+}
+
+// One highlighted game: opponent, venue, date and rating
+function createTeamMatchRow(match) {
+    return `
+        <div class="team-match">
+            <span class="rating-category rating-${match.categorySlug}">${match.watchability}</span>
+            <span>${match.venue === 'home' ? 'vs' : '@'} ${escapeHtml(match.opponent)}</span>
+            <span class="match-date">${new Date(match.date).toLocaleDateString()} · ${escapeHtml(match.competition)}</span>
+        </div>
+    `;
+}
+
+// Rolling average as a line over each match's rating as a dot
+function createTrendChart(points) {
+    const width = 600;
+    const height = 160;
+    const x = i => (points.length === 1 ? width / 2 : 10 + i * (width - 20) / (points.length - 1));
+    const y = value => height - 10 - value / 100 * (height - 20);
+    
+    return `
+        <svg class="trend-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <polyline points="${points.map((point, i) => `${x(i)},${y(point.rollingAverage)}`).join(' ')}" />
+            ${points.map((point, i) => `
+                <circle cx="${x(i)}" cy="${y(point.watchability)}" r="4" fill="${getRatingColor(point.watchability)}">
+                    <title>${escapeHtml(point.homeTeam)} vs ${escapeHtml(point.awayTeam)} (${new Date(point.date).toLocaleDateString()}): ${point.watchability}</title>
+                </circle>
+            `).join('')}
+        </svg>
+    `;
+}
+
+// A team name on a match card, linking to its team page when the team is in the registry
+function createTeamLink(name, teamId) {
+    return teamId
+        ? `<a href="#" class="team-link" data-team-id="${escapeHtml(teamId)}" onclick="openTeamPage(this.dataset.teamId); return false;">${escapeHtml(name)}</a>`
+        : escapeHtml(name);
+}
+
+// Load the fixtures that are historically bangers, so cards can flag them
+async function loadBangerFixtures() {
+    try {
+        const response = await fetch('/api/head-to-head/bangers');
+        const { fixtures } = await response.json();
+        bangerFixtures = new Map(fixtures.map(fixture => [fixture.key, fixture]));
+    } catch (error) {
+        console.error('Error loading banger fixtures:', error);
+    }
+}
+
+// Same fixture key as the server: both sides' team IDs (or lowercased names), sorted
+function getFixtureKey(match) {
+    return [
+        match.homeTeamId || match.homeTeam.toLowerCase(),
+        match.awayTeamId || match.awayTeam.toLowerCase()
+    ].sort().join('|');
+}
+
+// "Historically a banger" badge for fixtures whose past meetings were entertaining
+function createBangerBadge(match) {
+    const fixture = bangerFixtures.get(getFixtureKey(match));
+    if (!fixture) return '';
+    
+    return `<div class="banger-badge" title="${fixture.meetings} stored meetings averaging ${fixture.averageScore} (${escapeHtml(fixture.averageCategory)})">🔥 This fixture is historically a banger</div>`;
+}
+
 // Load top rated matches
 async function loadTopRated() {
     const container = document.getElementById('top-rated-list');
@@ -134,62 +476,164 @@ async function loadTopRated() {
     }
 }
 
-// Load matches by competition
-async function loadCompetitionMatches(competition) {
-    const container = document.getElementById(`${competition.toLowerCase().replace(' ', '-')}-list`);
-    container.innerHTML = '<div class="loading">Loading matches...</div>';
-    
-    try {
-        const response = await fetch(`/api/matches/competition/${encodeURIComponent(competition)}`);
-        const matches = await response.json();
-        displayMatches(matches, container);
-    } catch (error) {
-        console.error('Error loading competition matches:', error);
-        container.innerHTML = '<div class="error-message">Failed to load matches</div>';
-    }
+// Load matches by competition code
+function loadCompetitionMatches(competition) {
+    return loadMatchPage(`competition-${competition}-list`, { competition });
 }
 
-// Auto-fetch matches on page load
-async function autoFetchMatches() {
-    updateStatus('Fetching latest matches...', 'loading');
+// Load upcoming fixtures with predicted watchability
+async function loadUpcoming() {
+    const container = document.getElementById('upcoming-list');
+    container.innerHTML = '<div class="loading">Loading upcoming matches...</div>';
     
     try {
-        console.log('Auto-fetching matches...');
-        const response = await fetch('/api/matches/fetch', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ days: 7 })
-        });
-        
-        console.log('Auto-fetch response status:', response.status);
-        
+        const response = await fetch('/api/matches/upcoming?days=7');
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
+        const fixtures = await response.json();
+        container.innerHTML = fixtures.length > 0 ?
+            fixtures.map(fixture => createPredictionCard(fixture)).join('') :
+            '<div class="loading">No upcoming matches in the next 7 days</div>';
+    } catch (error) {
+        console.error('Error loading upcoming matches:', error);
+        container.innerHTML = '<div class="error-message">Failed to load upcoming matches</div>';
+    }
+}
+
+// Create a card for a fixture's predicted watchability
+function createPredictionCard(fixture) {
+    const prediction = fixture.prediction;
+    const kickOff = new Date(fixture.date);
+    const inputs = prediction.inputs;
+    
+    return `
+        <div class="match-card">
+            <div class="match-header">
+                <div class="match-teams">${escapeHtml(fixture.homeTeam)} vs ${escapeHtml(fixture.awayTeam)}</div>
+            </div>
+            
+            <div class="live-badge" title="Based on ${inputs.homeTeamMatches + inputs.awayTeamMatches} past matches of these teams">Predicted · ${prediction.confidence} confidence</div>
+            ${createBangerBadge(fixture)}
+            <div class="match-date">${kickOff.toLocaleDateString()} ${kickOff.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+            <div class="match-competition">${escapeHtml(fixture.competition)}</div>
+            
+            <div class="rating-section">
+                <div class="rating-score">
+                    <span class="rating-number">~${prediction.score}</span>
+                    <span class="rating-category rating-${prediction.categorySlug}">${prediction.category}</span>
+                </div>
+                <div class="prediction-range">Likely ${prediction.range.low}-${prediction.range.high}</div>
+                
+                <div class="rating-breakdown">
+                    <div class="breakdown-item">
+                        <div class="breakdown-label">Home Side</div>
+                        <div class="breakdown-value">${inputs.homeTeamRating}</div>
+                    </div>
+                    <div class="breakdown-item">
+                        <div class="breakdown-label">Away Side</div>
+                        <div class="breakdown-value">${inputs.awayTeamRating}</div>
+                    </div>
+                    <div class="breakdown-item">
+                        <div class="breakdown-label">Exp. Goals</div>
+                        <div class="breakdown-value">${inputs.expectedGoals}</div>
+                    </div>
+                    <div class="breakdown-item">
+                        <div class="breakdown-label">Head-to-Head</div>
+                        <div class="breakdown-value">${inputs.headToHeadRating !== null ? inputs.headToHeadRating : '-'}</div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Follow in-play matches over Server-Sent Events
+function connectLiveStream() {
+    const stream = new EventSource('/api/live/stream');
+    
+    stream.addEventListener('snapshot', event => {
+        liveMatches = new Map(JSON.parse(event.data).matches.map(match => [match.id, match]));
+        displayLiveMatches();
+    });
+    
+    stream.addEventListener('update', event => {
+        const match = JSON.parse(event.data);
+        liveMatches.set(match.id, match);
+        displayLiveMatches();
+    });
+    
+    // At full time the provisional rating is replaced by the stored final one
+    stream.addEventListener('final', event => {
+        const match = JSON.parse(event.data);
+        liveMatches.set(match.id, match);
+        displayLiveMatches();
+        loadMatches();
+    });
+    
+    stream.addEventListener('removed', event => {
+        liveMatches.delete(JSON.parse(event.data).id);
+        displayLiveMatches();
+    });
+    
+    stream.onerror = () => console.warn('Live stream disconnected, the browser will retry');
+}
+
+// Render the live tab and the live count in its button
+function displayLiveMatches() {
+    const inPlay = Array.from(liveMatches.values()).filter(match => match.rating.provisional);
+    document.getElementById('live-count').textContent = inPlay.length > 0 ? `(${inPlay.length})` : '';
+    
+    const container = document.getElementById('live-list');
+    if (liveMatches.size === 0) {
+        container.innerHTML = '<div class="loading">No matches in play right now</div>';
+        return;
+    }
+    
+    // Best provisional ratings first: which game is worth switching over to?
+    const matches = Array.from(liveMatches.values()).sort((a, b) => b.rating.totalScore - a.rating.totalScore);
+    container.innerHTML = matches.map(match => createMatchCard(match)).join('');
+}
+
+// Describe where a live match is up to
+function getLiveLabel(match) {
+    if (!match.rating.provisional) return 'Full time · Final rating';
+    if (match.status === 'PAUSED') return 'Half time · Provisional rating';
+    if (match.status === 'PENALTY_SHOOTOUT') return 'Penalties · Provisional rating';
+    const minute = match.minute ? ` ${match.minute}${match.injuryTime ? `+${match.injuryTime}` : ''}'` : '';
+    return `${match.status === 'EXTRA_TIME' ? 'Extra time' : 'LIVE'}${minute} · Provisional rating`;
+}
+
+// Show when the server last ingested matches
+async function loadIngestionStatus() {
+    try {
+        const response = await fetch('/api/jobs');
         const data = await response.json();
-        console.log('Auto-fetch data:', data);
+        const ingestJobs = data.jobs.filter(job => job.name.startsWith('ingest:'));
         
-        updateStatus(`✅ ${data.message}`, 'success');
-        updateLastUpdated();
+        const finishedRuns = ingestJobs
+            .map(job => job.lastRun)
+            .filter(run => run && run.finishedAt);
+        const failed = finishedRuns.filter(run => run.status === 'failed');
+        const nextRuns = ingestJobs.map(job => job.nextRun).filter(Boolean).sort();
         
-        // Small delay to ensure database has finished processing
-        setTimeout(() => {
-            // Load all tabs with fresh data
-            loadMatches();
-            loadTopRated();
-            loadCompetitionMatches('Premier League');
-            loadCompetitionMatches('Champions League');
-        }, 500);
+        if (!data.enabled) {
+            updateStatus('Scheduled updates are off - showing stored matches', '');
+        } else if (failed.length > 0) {
+            updateStatus(`⚠️ ${failed.length} competition update(s) failed - showing stored matches`, 'error');
+        } else {
+            const next = nextRuns.length > 0 ? ` Next update at ${new Date(nextRuns[0]).toLocaleTimeString()}.` : '';
+            updateStatus(`✅ Showing stored matches.${next}`, 'success');
+        }
         
+        if (finishedRuns.length > 0) {
+            const latest = finishedRuns.map(run => run.finishedAt).sort().pop();
+            updateLastUpdated(new Date(latest));
+        }
     } catch (error) {
-        console.error('Error fetching matches:', error);
-        updateStatus(`❌ Failed to fetch matches: ${error.message}`, 'error');
-        
-        // Still try to load existing data
-        loadMatches();
+        console.error('Error loading ingestion status:', error);
+        updateStatus('Showing stored matches', '');
     }
 }
 
@@ -203,10 +647,9 @@ function updateStatus(message, type = '') {
 }
 
 // Update last updated timestamp
-function updateLastUpdated() {
+function updateLastUpdated(date = new Date()) {
     const lastUpdated = document.getElementById('last-updated');
-    const now = new Date();
-    lastUpdated.textContent = `Last updated: ${now.toLocaleTimeString()}`;
+    lastUpdated.textContent = `Last updated: ${date.toLocaleTimeString()}`;
 }
 
 // Display matches in a container
@@ -221,8 +664,8 @@ function displayMatches(matches, container) {
 
 // Create a match card HTML
 function createMatchCard(match) {
-    const rating = match.rating || { totalScore: 0, category: 'Unknown', breakdown: { goalVolume: 0, goalTiming: 0, goalDistribution: 0 } };
-    const categoryClass = rating.category ? `rating-${rating.category.toLowerCase().replace(/\s+/g, '-')}` : 'rating-unknown';
+    const rating = match.rating || { totalScore: 0, category: 'Unknown', breakdown: { goalVolume: 0, goalTiming: 0, goalDistribution: 0, drama: 0 } };
+    const categoryClass = `rating-${getCategorySlug(rating)}`;
     const date = new Date(match.date).toLocaleDateString();
     
     // Debug logging for Eintracht match
@@ -239,16 +682,23 @@ function createMatchCard(match) {
     return `
         <div class="match-card">
             <div class="match-header">
-                <div class="match-teams">${match.homeTeam} vs ${match.awayTeam}</div>
+                <div class="match-teams">${createTeamLink(match.homeTeam, match.homeTeamId)} vs ${createTeamLink(match.awayTeam, match.awayTeamId)}</div>
             </div>
             
+            ${match.rating && match.rating.provisional !== undefined ? `
+            <div class="live-badge ${match.rating.provisional ? 'in-play' : ''}">${getLiveLabel(match)}</div>
+            ` : ''}
+            ${match.dataConfidence && match.dataConfidence !== 'full' ? `
+            <div class="confidence-badge" title="${getConfidenceDescription(match.dataConfidence)}">Low-confidence rating</div>
+            ` : ''}
+            ${createBangerBadge(match)}
             <div class="match-date">${date}</div>
-            <div class="match-competition">${match.competition}</div>
+            <div class="match-competition">${escapeHtml(match.competition)}</div>
             
             <div class="rating-section">
                 <div class="rating-score">
                     <span class="rating-number">${rating.totalScore}</span>
-                    <span class="rating-category ${categoryClass}">${rating.category}</span>
+                    <span class="rating-category ${categoryClass}" title="${getCategoryDescription(rating)}">${rating.category}</span>
                 </div>
                 
                 <div class="rating-breakdown">
@@ -264,6 +714,10 @@ function createMatchCard(match) {
                         <div class="breakdown-label">Distribution</div>
                         <div class="breakdown-value">${rating.breakdown.goalDistribution}</div>
                     </div>
+                    <div class="breakdown-item">
+                        <div class="breakdown-label">Drama</div>
+                        <div class="breakdown-value">${rating.breakdown.drama || 0}</div>
+                    </div>
                 </div>
             </div>
             
@@ -271,6 +725,30 @@ function createMatchCard(match) {
     `;
 }
 
+// Get the registry description for a category
+function getCategoryDescription(rating) {
+    const category = ratingCategories.find(cat => cat.slug === getCategorySlug(rating));
+    return category ? category.description : '';
+}
+
+// Explain why a rating is low-confidence
+function getConfidenceDescription(confidence) {
+    if (confidence === 'synthesized') {
+        return 'Goal minutes were made up when this match was stored - timing and distribution are unreliable';
+    }
+    return 'Only the final score is known - rated on goal volume alone until goal details arrive';
+}
+
+// Escape text from the API before it goes into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Utility function to get rating color
 function getRatingColor(score) {
     const category = ratingCategories.find(cat => 
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+const UNKNOWN_CATEGORY = {
+    name: 'Unknown',
+    slug: 'unknown',
+    min: null,
+    max: null,
+    color: '#64748b',
+    description: 'Not rated yet'
+};
+
+class RatingCategories {
+    constructor(categoriesFile) {
+        this.categoriesFile = categoriesFile
+            || process.env.RATING_CATEGORIES_FILE
+            || path.join(__dirname, 'config', 'ratingCategories.json');
+        this.categories = this.loadCategories();
+    }
+
+    /**
+     * Load the category registry, highest band first
+     */
+    loadCategories() {
+        const categories = JSON.parse(fs.readFileSync(this.categoriesFile, 'utf8'))
+            .sort((a, b) => b.min - a.min);
+
+        this.validateCategories(categories);
+        return categories;
+    }
+
+    /**
+     * Bands must cover 0-100 with no gaps or overlaps
+     */
+    validateCategories(categories) {
+        const required = ['name', 'slug', 'min', 'max', 'color', 'description'];
+
+        categories.forEach(category => {
+            const missing = required.filter(key => category[key] === undefined);
+            if (missing.length > 0) {
+                throw new Error(`Rating category "${category.name || category.slug}" is missing: ${missing.join(', ')}`);
+            }
+        });
+
+        if (categories.length === 0 || categories[0].max !== 100 || categories[categories.length - 1].min !== 0) {
+            throw new Error('Rating categories must cover scores 0-100');
+        }
+
+        categories.slice(1).forEach((category, i) => {
+            if (category.max !== categories[i].min - 1) {
+                throw new Error(`Rating categories "${category.name}" and "${categories[i].name}" leave a gap or overlap`);
+            }
+        });
+    }
+
+    /**
+     * Get the category a score falls into
+     */
+    getCategory(score) {
+        return this.categories.find(category => score >= category.min) || this.categories[this.categories.length - 1];
+    }
+
+    /**
+     * Look up a category by its display name (as stored with each match)
+     */
+    getCategoryByName(name) {
+        return this.categories.find(category => category.name === name) || UNKNOWN_CATEGORY;
+    }
+
+    /**
+     * List every category for the API, highest band first
+     */
+    listCategories() {
+        return this.categories.map(category => ({ ...category }));
+    }
+}
+
+RatingCategories.UNKNOWN_CATEGORY = UNKNOWN_CATEGORY;
+
+module.exports = RatingCategories;
@@ -1,9 +1,33 @@
+const RatingProfiles = require('./ratingProfiles');
+const RatingCategories = require('./ratingCategories');
+
+// Used for optional profile bonuses that a profile doesn't define
+const NO_BONUS = { minMinute: Infinity, maxMinute: -Infinity, points: 0 };
+const MAX_TOTAL_SCORE = 100;
+
+// Bump whenever a formula change would move stored scores, so old ratings can be found and re-rated
+const ENGINE_VERSION = '2.0.0';
+
+// Score-only matches carry placeholder goals with no minute - they only count toward volume
+const hasKnownMinute = goal => goal.minute !== null && goal.minute !== undefined;
+
 class FootballRatingEngine {
-    constructor() {
-        // Rating weights based on our simplified formula
-        this.maxGoalVolumeScore = 50;
-        this.maxGoalTimingScore = 25;
-        this.maxGoalDistributionScore = 25;
+    /**
+     * @param {string} profileName - Name of the rating profile to use (see config/ratingProfiles.json)
+     * @param {RatingProfiles} profiles - Loaded profiles, shared between engines when provided
+     * @param {RatingCategories} categories - Category registry, shared between engines when provided
+     */
+    constructor(profileName = RatingProfiles.DEFAULT_PROFILE, profiles = new RatingProfiles(), categories = new RatingCategories()) {
+        this.profileName = profileName;
+        this.profile = profiles.getProfile(profileName);
+        this.categories = categories;
+
+        // Rating weights come from the selected profile
+        this.maxGoalVolumeScore = this.profile.goalVolume.max;
+        this.maxGoalTimingScore = this.profile.goalTiming.max;
+        this.maxGoalDistributionScore = this.profile.goalDistribution.max;
+        this.maxDramaScore = this.profile.drama ? this.profile.drama.max : 0;
+        this.maxClosenessScore = this.profile.closeness ? this.profile.closeness.max : 0;
     }
 
     /**
@@ -14,91 +38,337 @@ class FootballRatingEngine {
      * @param {number} matchData.homeScore - Home team goals
      * @param {number} matchData.awayScore - Away team goals
      * @param {Array} matchData.goals - Array of goal objects with timing and scorer info
+     * @param {string} matchData.duration - REGULAR, EXTRA_TIME or PENALTY_SHOOTOUT
+     * @param {Object} matchData.penalties - Shootout score ({ home, away }) when there was one
+     * @param {Array} matchData.events - Non-goal events (red cards, missed penalties, disallowed goals, substitutions)
+     * @param {string} matchData.dataConfidence - full, score-only or synthesized (inferred from the goals when missing)
+     * @param {Object} options - Rating options
+     * @param {boolean} options.explain - Include an ordered trace of every contribution
+     * @param {number} options.elapsedMinutes - For a match in progress: minutes played so far.
+     *                                          Later goals and events are ignored and the timeline stops here.
      * @returns {Object} Rating breakdown and total score
      */
-    calculateRating(matchData) {
-        const { homeTeam, awayTeam, homeScore, awayScore, goals = [] } = matchData;
+    calculateRating(matchData, options = {}) {
+        const { homeTeam, awayTeam, homeScore, awayScore } = matchData;
+        const trace = options.explain ? [] : null;
+        const duration = this.getMatchDuration(matchData);
+        const elapsed = options.elapsedMinutes ?? null;
+        const hasHappened = item => elapsed === null || !hasKnownMinute(item) || item.minute <= elapsed;
+        const goals = (matchData.goals || []).filter(hasHappened);
+        const events = (matchData.events || []).filter(hasHappened);
         
         // Calculate each component
-        const goalVolumeScore = this.calculateGoalVolumeScore(homeScore + awayScore);
-        const goalTimingScore = this.calculateGoalTimingScore(goals);
-        const goalDistributionScore = this.calculateGoalDistributionScore(matchData, goals);
+        const goalVolumeScore = this.calculateGoalVolumeScore(homeScore + awayScore, trace);
+        const goalTimingScore = this.calculateGoalTimingScore(goals, trace, duration);
+        const goalDistributionScore = this.calculateGoalDistributionScore(matchData, goals, trace);
+        const dramaScore = this.calculateDramaScore(goals, events, trace);
+        const shootoutScore = this.calculateShootoutScore(matchData, trace, duration);
+        const timeline = this.analyzeTimeline(goals, duration, elapsed);
+        const closenessScore = this.calculateClosenessScore(timeline, trace);
         
-        const totalScore = goalVolumeScore + goalTimingScore + goalDistributionScore;
+        const totalScore = this.applyCap(
+            goalVolumeScore + goalTimingScore + goalDistributionScore + dramaScore + shootoutScore + closenessScore,
+            MAX_TOTAL_SCORE, 'total', trace
+        );
         
-        return {
+        const result = {
             totalScore: Math.round(totalScore),
             breakdown: {
                 goalVolume: Math.round(goalVolumeScore),
                 goalTiming: Math.round(goalTimingScore),
-                goalDistribution: Math.round(goalDistributionScore)
+                goalDistribution: Math.round(goalDistributionScore),
+                drama: Math.round(dramaScore),
+                shootout: Math.round(shootoutScore),
+                closeness: Math.round(closenessScore)
             },
+            timeline,
             rating: this.getRatingCategory(totalScore),
+            profile: this.profileName,
+            engineVersion: ENGINE_VERSION,
+            confidence: this.getDataConfidence(matchData),
             match: {
                 homeTeam,
                 awayTeam,
                 score: `${homeScore}-${awayScore}`,
-                totalGoals: homeScore + awayScore
+                totalGoals: homeScore + awayScore,
+                duration
             }
         };
+        
+        if (trace) {
+            result.explanation = trace;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Record a single contribution in the explanation trace (no-op when not explaining)
+     * @param {Array|null} trace - Trace being built, or null
+     * @param {string} component - goalVolume, goalTiming, goalDistribution, drama, shootout, closeness or total
+     * @param {Object|null} goal - Goal or event the contribution belongs to, null for match-level rules
+     * @param {string} rule - Rule that fired
+     * @param {number} points - Points added (negative when a cap cuts points off)
+     */
+    addContribution(trace, component, goal, rule, points) {
+        if (!trace) return;
+        
+        trace.push({
+            component,
+            goal: goal ? {
+                minute: hasKnownMinute(goal) ? goal.minute : null,
+                injuryTime: goal.injuryTime || 0,
+                team: goal.team,
+                type: goal.type || 'REGULAR'
+            } : null,
+            rule,
+            points
+        });
+    }
+
+    /**
+     * Clamp a component score to its cap, recording the cut in the trace
+     */
+    applyCap(score, max, component, trace) {
+        if (score <= max) return score;
+        
+        this.addContribution(trace, component, null, `${component} cap (${max})`, max - score);
+        return max;
     }
 
     /**
      * Calculate score based on total number of goals
      */
-    calculateGoalVolumeScore(totalGoals) {
-        if (totalGoals === 0) return 0;
-        if (totalGoals === 1) return 5;
-        if (totalGoals === 2) return 15;
-        if (totalGoals === 3) return 25;
-        if (totalGoals === 4) return 35;
-        if (totalGoals === 5) return 45;
-        return 50; // 6+ goals
+    calculateGoalVolumeScore(totalGoals, trace = null) {
+        const ladder = this.profile.goalVolume.points;
+        // The last rung covers every goal count beyond the end of the ladder
+        const points = ladder[Math.min(totalGoals, ladder.length - 1)];
+        
+        if (points > 0) {
+            this.addContribution(trace, 'goalVolume', null, `goal volume (${totalGoals} goals)`, points);
+        }
+        
+        return this.applyCap(points, this.maxGoalVolumeScore, 'goalVolume', trace);
+    }
+
+    /**
+     * How much of the rating rests on real event data
+     * full: every goal has a real minute; score-only: only the final score was known
+     */
+    getDataConfidence(matchData) {
+        if (matchData.dataConfidence) return matchData.dataConfidence;
+        
+        const { homeScore = 0, awayScore = 0, goals = [] } = matchData;
+        const missingGoals = goals.length < homeScore + awayScore;
+        
+        return missingGoals || !goals.every(hasKnownMinute) ? 'score-only' : 'full';
+    }
+
+    /**
+     * Work out how long the match went: REGULAR, EXTRA_TIME or PENALTY_SHOOTOUT
+     */
+    getMatchDuration(matchData) {
+        if (matchData.duration) return matchData.duration;
+        if (matchData.penalties) return 'PENALTY_SHOOTOUT';
+        if (matchData.extraTime) return 'EXTRA_TIME';
+        return 'REGULAR';
+    }
+
+    /**
+     * Work out which period of the match a goal was scored in
+     * Stoppage goals come as minute 45/90/105/120 plus injuryTime. Older data
+     * stores them as 90+ minutes, which only means extra time if the match had any.
+     */
+    getGoalPeriod(goal, duration = 'REGULAR') {
+        const minute = goal.minute || 0;
+        const inStoppage = (goal.injuryTime || 0) > 0;
+        const hadExtraTime = duration !== 'REGULAR';
+
+        if (minute <= 45) {
+            return minute === 45 && inStoppage ? 'firstHalfStoppage' : 'firstHalf';
+        }
+        if (minute <= 90) {
+            return minute === 90 && inStoppage ? 'secondHalfStoppage' : 'secondHalf';
+        }
+        if (!hadExtraTime) {
+            return 'secondHalfStoppage';
+        }
+        if (minute <= 105) {
+            return minute === 105 && inStoppage ? 'extraTimeFirstHalfStoppage' : 'extraTimeFirstHalf';
+        }
+        if (minute < 120 || (minute === 120 && !inStoppage)) {
+            return 'extraTimeSecondHalf';
+        }
+        return 'extraTimeSecondHalfStoppage';
     }
 
     /**
      * Calculate score based on when goals were scored
      */
-    calculateGoalTimingScore(goals) {
+    calculateGoalTimingScore(goals, trace = null, duration = 'REGULAR') {
         let score = 0;
+        const {
+            earlyGoal, lateGoal, injuryTimeGoal, finalTenGoal,
+            firstHalfStoppageGoal = NO_BONUS,
+            extraTimeGoal = NO_BONUS,
+            lateExtraTimeGoal = NO_BONUS,
+            extraTimeStoppageGoal = NO_BONUS
+        } = this.profile.goalTiming;
         
-        goals.forEach(goal => {
-            const minute = goal.minute || 0;
+        goals.filter(hasKnownMinute).forEach(goal => {
+            const period = this.getGoalPeriod(goal, duration);
+            const minute = (goal.minute || 0) + (goal.injuryTime || 0);
+            
+            // Extra time has its own windows - the 90-minute bonuses don't apply
+            if (period.startsWith('extraTime')) {
+                score += extraTimeGoal.points;
+                this.addContribution(trace, 'goalTiming', goal, 'extra-time goal', extraTimeGoal.points);
+                
+                if (minute >= lateExtraTimeGoal.minMinute) {
+                    score += lateExtraTimeGoal.points;
+                    this.addContribution(trace, 'goalTiming', goal, 'late extra-time goal', lateExtraTimeGoal.points);
+                }
+                
+                if (period.endsWith('Stoppage')) {
+                    score += extraTimeStoppageGoal.points;
+                    this.addContribution(trace, 'goalTiming', goal, 'extra-time stoppage goal', extraTimeStoppageGoal.points);
+                }
+                return;
+            }
+            
+            // Stoppage time at the end of the first half
+            if (period === 'firstHalfStoppage') {
+                score += firstHalfStoppageGoal.points;
+                this.addContribution(trace, 'goalTiming', goal, 'first-half stoppage goal', firstHalfStoppageGoal.points);
+            }
             
-            // First 15 minutes
-            if (minute <= 15) {
-                score += 3;
+            // Early goals
+            if (period === 'firstHalf' && minute <= earlyGoal.maxMinute) {
+                score += earlyGoal.points;
+                this.addContribution(trace, 'goalTiming', goal, 'early goal', earlyGoal.points);
             }
             
-            // Last 15 minutes (assuming 90 minute matches)
-            if (minute >= 75) {
-                score += 3;
+            // Last 15 minutes of normal time
+            if (minute >= lateGoal.minMinute) {
+                score += lateGoal.points;
+                this.addContribution(trace, 'goalTiming', goal, 'late goal', lateGoal.points);
             }
             
             // Injury time (90+)
-            if (minute >= 90) {
-                score += 5;
+            if (minute >= injuryTimeGoal.minMinute) {
+                score += injuryTimeGoal.points;
+                this.addContribution(trace, 'goalTiming', goal, 'injury-time goal', injuryTimeGoal.points);
             }
             
             // 80th minute and beyond
-            if (minute >= 80) {
-                score += 2;
+            if (minute >= finalTenGoal.minMinute) {
+                score += finalTenGoal.points;
+                this.addContribution(trace, 'goalTiming', goal, 'final ten minutes goal', finalTenGoal.points);
+            }
+        });
+        
+        return this.applyCap(score, this.maxGoalTimingScore, 'goalTiming', trace);
+    }
+
+    /**
+     * Calculate score from non-goal drama: red cards, missed penalties, own goals and disallowed goals
+     * Only profiles with a drama section score it
+     */
+    calculateDramaScore(goals, events = [], trace = null) {
+        const config = this.profile.drama;
+        
+        if (!config) {
+            return 0;
+        }
+        
+        let score = 0;
+        const { earlySubstitution = NO_BONUS } = config;
+        
+        // Goal types: own goals and penalties
+        goals.forEach(goal => {
+            if (goal.type === 'OWN') {
+                score += config.ownGoal;
+                this.addContribution(trace, 'drama', goal, 'own goal', config.ownGoal);
+            } else if (goal.type === 'PENALTY') {
+                score += config.penaltyGoal;
+                this.addContribution(trace, 'drama', goal, 'penalty scored', config.penaltyGoal);
+            }
+        });
+        
+        events.forEach(event => {
+            switch (event.type) {
+                case 'RED_CARD':
+                    score += config.redCard;
+                    this.addContribution(trace, 'drama', event, 'red card', config.redCard);
+                    break;
+                case 'MISSED_PENALTY':
+                    score += config.missedPenalty;
+                    this.addContribution(trace, 'drama', event, 'saved or missed penalty', config.missedPenalty);
+                    break;
+                case 'DISALLOWED_GOAL':
+                    score += config.disallowedGoal;
+                    this.addContribution(trace, 'drama', event, 'disallowed goal', config.disallowedGoal);
+                    break;
+                case 'SUBSTITUTION':
+                    // Subs this early are usually injuries or a plan torn up
+                    if ((event.minute || 0) <= earlySubstitution.maxMinute && earlySubstitution.points > 0) {
+                        score += earlySubstitution.points;
+                        this.addContribution(trace, 'drama', event, 'early substitution', earlySubstitution.points);
+                    }
+                    break;
             }
         });
         
-        return Math.min(score, this.maxGoalTimingScore);
+        return this.applyCap(score, this.maxDramaScore, 'drama', trace);
+    }
+
+    /**
+     * Calculate the optional penalty shootout component
+     * Only profiles with a penaltyShootout section score shootouts
+     */
+    calculateShootoutScore(matchData, trace = null, duration = 'REGULAR') {
+        const config = this.profile.penaltyShootout;
+        const { penalties } = matchData;
+        
+        if (!config || duration !== 'PENALTY_SHOOTOUT' || !penalties) {
+            return 0;
+        }
+        
+        let score = config.base;
+        this.addContribution(trace, 'shootout', null, 'penalty shootout', config.base);
+        
+        // Decided by a single kick
+        if (Math.abs(penalties.home - penalties.away) === 1) {
+            score += config.closeShootout;
+            this.addContribution(trace, 'shootout', null, 'shootout decided by one kick', config.closeShootout);
+        }
+        
+        // Both sides scored all five regulation kicks, so it went to sudden death
+        if (Math.min(penalties.home, penalties.away) >= 5) {
+            score += config.suddenDeath;
+            this.addContribution(trace, 'shootout', null, 'sudden death shootout', config.suddenDeath);
+        }
+        
+        return this.applyCap(score, config.max, 'shootout', trace);
     }
 
     /**
      * Calculate score based on goal distribution and match dynamics
      */
-    calculateGoalDistributionScore(matchData, goals) {
+    calculateGoalDistributionScore(matchData, goals, trace = null) {
         let score = 0;
         const { homeScore, awayScore } = matchData;
+        const { bothTeamsScore, comebackGoal, equalizer, lateWinner } = this.profile.goalDistribution;
         
         // Both teams scored
         if (homeScore > 0 && awayScore > 0) {
-            score += 15;
+            score += bothTeamsScore;
+            this.addContribution(trace, 'goalDistribution', null, 'both teams scored', bothTeamsScore);
+        }
+        
+        // The order of goals is unknown without minutes, so only both-teams-scored applies
+        if (!goals.every(hasKnownMinute)) {
+            return this.applyCap(score, this.maxGoalDistributionScore, 'goalDistribution', trace);
         }
         
         // Calculate comeback and equalizer goals
@@ -110,59 +380,183 @@ class FootballRatingEngine {
                 homeGoals++;
                 // Check for comeback goals
                 if (homeGoals > awayGoals && awayGoals > 0) {
-                    score += 4;
+                    score += comebackGoal;
+                    this.addContribution(trace, 'goalDistribution', goal, 'comeback goal', comebackGoal);
                 }
                 // Check for equalizer
                 if (homeGoals === awayGoals && awayGoals > 0) {
-                    score += 3;
+                    score += equalizer;
+                    this.addContribution(trace, 'goalDistribution', goal, 'equalizer', equalizer);
                 }
                 // Check for winning goal in final 10 minutes
-                if (goal.minute >= 80 && homeGoals > awayGoals) {
-                    score += 2;
+                if (goal.minute >= lateWinner.minMinute && homeGoals > awayGoals) {
+                    score += lateWinner.points;
+                    this.addContribution(trace, 'goalDistribution', goal, 'late winner', lateWinner.points);
                 }
             } else if (goal.team === 'away') {
                 awayGoals++;
                 // Check for comeback goals
                 if (awayGoals > homeGoals && homeGoals > 0) {
-                    score += 4;
+                    score += comebackGoal;
+                    this.addContribution(trace, 'goalDistribution', goal, 'comeback goal', comebackGoal);
                 }
                 // Check for equalizer
                 if (awayGoals === homeGoals && homeGoals > 0) {
-                    score += 3;
+                    score += equalizer;
+                    this.addContribution(trace, 'goalDistribution', goal, 'equalizer', equalizer);
                 }
                 // Check for winning goal in final 10 minutes
-                if (goal.minute >= 80 && awayGoals > homeGoals) {
-                    score += 2;
+                if (goal.minute >= lateWinner.minMinute && awayGoals > homeGoals) {
+                    score += lateWinner.points;
+                    this.addContribution(trace, 'goalDistribution', goal, 'late winner', lateWinner.points);
                 }
             }
         });
         
-        return Math.min(score, this.maxGoalDistributionScore);
+        return this.applyCap(score, this.maxGoalDistributionScore, 'goalDistribution', trace);
+    }
+
+    /**
+     * Walk the goals minute by minute and describe the game state
+     * Stoppage goals are placed at minute + injuryTime, capped at the final whistle.
+     * Goals without a minute are left out and the timeline is marked incomplete.
+     * For a match in progress the timeline stops at the elapsed minute, so unplayed minutes earn nothing.
+     * @returns {Object} Minutes level/leading, lead changes, largest deficit overturned
+     *                   and whether the result was in doubt in the last ten minutes
+     */
+    analyzeTimeline(goals, duration = 'REGULAR', elapsedMinutes = null) {
+        const matchLength = duration === 'REGULAR' ? 90 : 120;
+        const endMinute = elapsedMinutes === null ? matchLength : Math.max(0, Math.min(elapsedMinutes, matchLength));
+        const finalTenStart = matchLength - 10;
+        const score = { home: 0, away: 0 };
+        const maxDeficit = { home: 0, away: 0 };
+        const timeline = {
+            matchLength,
+            minutesPlayed: endMinute,
+            complete: goals.every(hasKnownMinute),
+            totalGoals: 0,
+            minutesLevel: 0,
+            minutesHomeLeading: 0,
+            minutesAwayLeading: 0,
+            minutesWithinOneGoal: 0,
+            leadChanges: 0,
+            largestDeficitOverturned: 0,
+            resultInDoubtLate: false
+        };
+        let lastMinute = 0;
+        let lastLeader = null;
+        
+        // Credit the minutes since the previous goal to the current game state
+        const advanceTo = minute => {
+            const span = minute - lastMinute;
+            const margin = score.home - score.away;
+            
+            if (margin === 0) timeline.minutesLevel += span;
+            else if (margin > 0) timeline.minutesHomeLeading += span;
+            else timeline.minutesAwayLeading += span;
+            
+            if (Math.abs(margin) <= 1) timeline.minutesWithinOneGoal += span;
+            
+            // Still within a goal when the last ten minutes start
+            if (lastMinute <= finalTenStart && minute > finalTenStart && Math.abs(margin) <= 1) {
+                timeline.resultInDoubtLate = true;
+            }
+            
+            lastMinute = minute;
+        };
+        
+        goals.filter(hasKnownMinute).forEach(goal => {
+            if (goal.team !== 'home' && goal.team !== 'away') return;
+            
+            const minute = Math.max(lastMinute, Math.min((goal.minute || 0) + (goal.injuryTime || 0), endMinute));
+            advanceTo(minute);
+            
+            score[goal.team]++;
+            timeline.totalGoals++;
+            const margin = score.home - score.away;
+            const leader = margin === 0 ? null : (margin > 0 ? 'home' : 'away');
+            
+            maxDeficit.home = Math.max(maxDeficit.home, -margin);
+            maxDeficit.away = Math.max(maxDeficit.away, margin);
+            
+            if (leader !== null) {
+                if (lastLeader !== null && leader !== lastLeader) {
+                    timeline.leadChanges++;
+                }
+                timeline.largestDeficitOverturned = Math.max(timeline.largestDeficitOverturned, maxDeficit[leader]);
+                lastLeader = leader;
+            }
+            
+            // A late goal that brings it back within one
+            if (minute > finalTenStart && Math.abs(margin) <= 1) {
+                timeline.resultInDoubtLate = true;
+            }
+        });
+        
+        advanceTo(endMinute);
+        return timeline;
+    }
+
+    /**
+     * Calculate the optional closeness component from the timeline
+     * Rewards games that stayed close throughout, not just individual comeback goals.
+     * Only profiles with a closeness section score it.
+     */
+    calculateClosenessScore(timeline, trace = null) {
+        const config = this.profile.closeness;
+        
+        // A goalless draw is level all game but was never a contest,
+        // and without goal minutes there's no game state to judge
+        if (!config || timeline.totalGoals === 0 || !timeline.complete) {
+            return 0;
+        }
+        
+        let score = 0;
+        
+        const closeShare = timeline.minutesWithinOneGoal / timeline.matchLength;
+        const closePoints = Math.round(config.closeMinutes * closeShare);
+        if (closePoints > 0) {
+            score += closePoints;
+            this.addContribution(trace, 'closeness', null,
+                `within one goal for ${timeline.minutesWithinOneGoal} of ${timeline.matchLength} minutes`, closePoints);
+        }
+        
+        if (timeline.leadChanges > 0) {
+            const points = timeline.leadChanges * config.leadChange;
+            score += points;
+            this.addContribution(trace, 'closeness', null, `${timeline.leadChanges} lead change${timeline.leadChanges === 1 ? '' : 's'}`, points);
+        }
+        
+        if (timeline.largestDeficitOverturned > 0) {
+            const points = timeline.largestDeficitOverturned * config.deficitOverturned;
+            score += points;
+            this.addContribution(trace, 'closeness', null,
+                `${timeline.largestDeficitOverturned}-goal deficit overturned`, points);
+        }
+        
+        if (timeline.resultInDoubtLate) {
+            score += config.resultInDoubtLate;
+            this.addContribution(trace, 'closeness', null, 'result in doubt in the last ten minutes', config.resultInDoubtLate);
+        }
+        
+        return this.applyCap(score, this.maxClosenessScore, 'closeness', trace);
     }
 
     /**
      * Get rating category based on total score
      */
     getRatingCategory(score) {
-        if (score >= 90) return 'ALL TIME LEGENDARY';
-        if (score >= 75) return 'AMAZING';
-        if (score >= 60) return 'REALLY Good';
-        if (score >= 30) return 'Good';
-        if (score >= 15) return 'Average';
-        return 'Very Poor';
+        return this.categories.getCategory(score).name;
     }
 
     /**
      * Get rating color for UI
      */
     getRatingColor(score) {
-        if (score >= 90) return '#22c55e'; // Green
-        if (score >= 75) return '#84cc16'; // Light green
-        if (score >= 60) return '#eab308'; // Yellow
-        if (score >= 40) return '#f97316'; // Orange
-        if (score >= 20) return '#ef4444'; // Red
-        return '#dc2626'; // Dark red
+        return this.categories.getCategory(score).color;
     }
 }
 
+FootballRatingEngine.ENGINE_VERSION = ENGINE_VERSION;
+
 module.exports = FootballRatingEngine;
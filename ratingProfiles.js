@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE = 'default';
+
+class RatingProfiles {
+    constructor(profilesFile) {
+        // Allow teams to point at their own profile file without touching the repo copy
+        this.profilesFile = profilesFile
+            || process.env.RATING_PROFILES_FILE
+            || path.join(__dirname, 'config', 'ratingProfiles.json');
+        this.profiles = this.loadProfiles();
+    }
+
+    /**
+     * Load and validate rating profiles from the JSON file
+     */
+    loadProfiles() {
+        const raw = JSON.parse(fs.readFileSync(this.profilesFile, 'utf8'));
+
+        Object.entries(raw).forEach(([name, profile]) => this.validateProfile(name, profile));
+
+        if (!raw[DEFAULT_PROFILE]) {
+            throw new Error(`Rating profiles file must define a "${DEFAULT_PROFILE}" profile`);
+        }
+
+        console.log(`🎚️ Loaded ${Object.keys(raw).length} rating profiles from ${this.profilesFile}`);
+        return raw;
+    }
+
+    /**
+     * Make sure a profile has every section the engine reads
+     */
+    validateProfile(name, profile) {
+        const required = ['goalVolume', 'goalTiming', 'goalDistribution'];
+        const missing = required.filter(key => !profile[key]);
+
+        if (missing.length > 0) {
+            throw new Error(`Rating profile "${name}" is missing: ${missing.join(', ')}`);
+        }
+
+        if (!Array.isArray(profile.goalVolume.points) || profile.goalVolume.points.length === 0) {
+            throw new Error(`Rating profile "${name}" needs a non-empty goalVolume.points ladder`);
+        }
+
+        // Category bands used to be set per profile; they now come from the category registry only
+        if (profile.categories) {
+            console.warn(`⚠️ Ignoring categories in rating profile "${name}": bands are set in config/ratingCategories.json`);
+        }
+    }
+
+    /**
+     * Check whether a profile exists
+     */
+    hasProfile(name) {
+        return Object.prototype.hasOwnProperty.call(this.profiles, name);
+    }
+
+    /**
+     * Get a profile by name (falls back to the default profile when no name is given)
+     */
+    getProfile(name = DEFAULT_PROFILE) {
+        if (!this.hasProfile(name)) {
+            throw new Error(`Unknown rating profile: ${name}`);
+        }
+        return this.profiles[name];
+    }
+
+    /**
+     * List profile names and descriptions for the API
+     */
+    listProfiles() {
+        return Object.entries(this.profiles).map(([name, profile]) => ({
+            name,
+            description: profile.description || '',
+            isDefault: name === DEFAULT_PROFILE
+        }));
+    }
+}
+
+RatingProfiles.DEFAULT_PROFILE = DEFAULT_PROFILE;
+
+module.exports = RatingProfiles;
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Backfill a past season or date range for one competition
+ *
+ * Usage: node scripts/backfill.js --competition <code> (--season <year> | --from <YYYY-MM-DD> --to <YYYY-MM-DD>)
+ *                                 [--profile <name>] [--no-details] [--restart]
+ *
+ * Progress is checkpointed, so running the same command again resumes an interrupted backfill.
+ */
+const { createDatabase } = require('../databaseFactory');
+const FootballAPIService = require('../apiService');
+const MatchBackfiller = require('../matchBackfiller');
+
+function parseArgs(argv) {
+    const options = { details: true, restart: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--competition') options.competition = argv[++i];
+        else if (argv[i] === '--season') options.season = argv[++i];
+        else if (argv[i] === '--from') options.dateFrom = argv[++i];
+        else if (argv[i] === '--to') options.dateTo = argv[++i];
+        else if (argv[i] === '--profile') options.profile = argv[++i];
+        else if (argv[i] === '--no-details') options.details = false;
+        else if (argv[i] === '--restart') options.restart = true;
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.competition) {
+        throw new Error('--competition is required');
+    }
+
+    const database = createDatabase();
+    await database.initialize();
+
+    const checkpoint = await new MatchBackfiller(new FootballAPIService(), database).run(options);
+
+    console.log(JSON.stringify(checkpoint.stats, null, 2));
+    database.close();
+}
+
+main().catch(error => {
+    console.error('❌ Backfill failed:', error.message);
+    console.error('   Run the same command again to resume from the last checkpoint.');
+    process.exit(1);
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Import matches from a CSV or JSON file, rating each one
+ *
+ * Usage: node scripts/import.js <file> [--format csv|json] [--profile <name>] [--source <tag>] [--dry-run]
+ */
+const fs = require('fs');
+const path = require('path');
+const { createDatabase } = require('../databaseFactory');
+const MatchImporter = require('../matchImporter');
+
+function parseArgs(argv) {
+    const options = { file: null, format: undefined, profile: undefined, source: undefined, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') options.dryRun = true;
+        else if (argv[i] === '--format') options.format = argv[++i];
+        else if (argv[i] === '--profile') options.profile = argv[++i];
+        else if (argv[i] === '--source') options.source = argv[++i];
+        else if (!options.file) options.file = argv[i];
+    }
+
+    if (!options.format && options.file) {
+        const extension = path.extname(options.file).toLowerCase();
+        if (extension === '.csv') options.format = 'csv';
+        else if (extension === '.json') options.format = 'json';
+    }
+
+    return options;
+}
+
+async function main() {
+    const { file, ...options } = parseArgs(process.argv.slice(2));
+    if (!file) {
+        throw new Error('Usage: node scripts/import.js <file> [--format csv|json] [--profile <name>] [--source <tag>] [--dry-run]');
+    }
+
+    const database = createDatabase();
+    await database.initialize();
+
+    const { summary, imported, updated, errors } = await new MatchImporter(database).import(fs.readFileSync(file, 'utf8'), options);
+
+    imported.forEach(match => {
+        console.log(`✅ Row ${match.row}: ${match.homeTeam} ${match.homeScore}-${match.awayScore} ${match.awayTeam} -> ${match.rating.totalScore}/100 (${match.rating.rating})`);
+    });
+    updated.forEach(match => {
+        console.log(`✏️ Row ${match.row}: ${match.homeTeam} ${match.homeScore}-${match.awayScore} ${match.awayTeam} updated -> ${match.rating.totalScore}/100 (${match.rating.rating})`);
+    });
+    errors.forEach(({ row, errors: rowErrors }) => {
+        console.log(`❌ Row ${row}: ${rowErrors.join('; ')}`);
+    });
+
+    console.log(JSON.stringify(summary, null, 2));
+    database.close();
+}
+
+main().catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+});
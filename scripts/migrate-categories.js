@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Re-label stored matches with the categories in config/ratingCategories.json
+ *
+ * Usage: node scripts/migrate-categories.js [--dry-run]
+ */
+const { createDatabase } = require('../databaseFactory');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const database = createDatabase();
+    await database.initialize();
+
+    const changed = await database.recategorizeMatches({ dryRun });
+
+    changed.forEach(change => {
+        console.log(`${change.match} (${change.score}): ${change.oldCategory} -> ${change.newCategory}`);
+    });
+
+    console.log(`${changed.length} matches ${dryRun ? 'would change' : 'changed'}`);
+    database.close();
+}
+
+main().catch(error => {
+    console.error('❌ Category migration failed:', error.message);
+    process.exit(1);
+});
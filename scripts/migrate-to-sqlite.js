@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Copy the JSON store (data/matches.json, ratings.json and history.json) into the SQLite database
+ *
+ * Usage: node scripts/migrate-to-sqlite.js [--db <file>] [--replace]
+ *
+ * Matches already in the SQLite file (same API ID) are skipped; --replace empties it first.
+ * Run the server with DATABASE_BACKEND=sqlite afterwards.
+ */
+const FootballDatabase = require('../database');
+const SqliteFootballDatabase = require('../sqliteDatabase');
+
+function parseArgs(argv) {
+    const options = { dbFile: undefined, replace: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--replace') options.replace = true;
+        else if (argv[i] === '--db') options.dbFile = argv[++i];
+    }
+
+    return options;
+}
+
+async function main() {
+    const { dbFile, replace } = parseArgs(process.argv.slice(2));
+
+    const source = new FootballDatabase();
+    await source.initialize();
+
+    const target = new SqliteFootballDatabase(undefined, undefined, undefined, dbFile);
+    await target.initialize();
+
+    const summary = target.importRows(source.matches, source.ratings, source.history, { replace });
+    console.log(`✅ Copied ${summary.matches} matches and ${summary.ratings} ratings into ${target.dbFile}`);
+    console.log(JSON.stringify(summary, null, 2));
+
+    target.close();
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Re-rate every stored match with the current rating engine
+ *
+ * Usage: node scripts/rerate.js [--dry-run] [--profile <name>] [--force]
+ */
+const { createDatabase } = require('../databaseFactory');
+const MatchRerater = require('../matchRerater');
+
+function parseArgs(argv) {
+    const options = { dryRun: false, profile: null, force: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') options.dryRun = true;
+        else if (argv[i] === '--force') options.force = true;
+        else if (argv[i] === '--profile') options.profile = argv[++i];
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const database = createDatabase();
+    await database.initialize();
+
+    const { summary, changes } = await new MatchRerater(database).run(options);
+
+    changes
+        .filter(change => change.scoreChange !== 0 || change.categoryChanged)
+        .forEach(change => {
+            const sign = change.scoreChange > 0 ? '+' : '';
+            console.log(`${change.match}: ${change.oldScore} -> ${change.newScore} (${sign}${change.scoreChange})` +
+                (change.categoryChanged ? `, ${change.oldCategory} -> ${change.newCategory}` : ''));
+        });
+
+    console.log(JSON.stringify(summary, null, 2));
+    database.close();
+}
+
+main().catch(error => {
+    console.error('❌ Re-rating failed:', error.message);
+    process.exit(1);
+});
@@ -1,9 +1,26 @@
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
 const FootballRatingEngine = require('./ratingEngine');
+const RatingProfiles = require('./ratingProfiles');
+const RatingCategories = require('./ratingCategories');
+const TieRatingEngine = require('./tieRatingEngine');
+const MatchRerater = require('./matchRerater');
+const MatchIngester = require('./matchIngester');
+const MatchBackfiller = require('./matchBackfiller');
+const JobScheduler = require('./jobScheduler');
+const LiveTracker = require('./liveTracker');
+const MatchPredictor = require('./matchPredictor');
+const MatchImporter = require('./matchImporter');
+const TeamStats = require('./teamStats');
+const MatchDigest = require('./matchDigest');
+const HeadToHead = require('./headToHead');
 const FootballAPIService = require('./apiService');
-const FootballDatabase = require('./database');
+const CompetitionRegistry = require('./competitionRegistry');
+const TeamRegistry = require('./teamRegistry');
+const { createProvider } = require('./providers');
+const { createDatabase } = require('./databaseFactory');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -26,9 +43,32 @@ app.use(express.static('public', {
 }));
 
 // Initialize services
-const ratingEngine = new FootballRatingEngine();
-const apiService = new FootballAPIService();
-const database = new FootballDatabase();
+const ratingProfiles = new RatingProfiles();
+const ratingCategories = new RatingCategories();
+const competitionRegistry = new CompetitionRegistry();
+const teamRegistry = new TeamRegistry();
+const ratingEngine = new FootballRatingEngine(RatingProfiles.DEFAULT_PROFILE, ratingProfiles, ratingCategories);
+const apiService = new FootballAPIService(createProvider(process.env.MATCH_PROVIDER, { registry: competitionRegistry, teams: teamRegistry }));
+const database = createDatabase(ratingCategories, competitionRegistry, teamRegistry);
+const ingester = new MatchIngester(apiService, database, ratingProfiles, ratingCategories);
+const backfiller = new MatchBackfiller(apiService, database, ratingProfiles, ratingCategories);
+const runningBackfills = new Set();
+const matchPredictor = new MatchPredictor(ratingCategories);
+const teamStats = new TeamStats(ratingCategories);
+const matchDigest = new MatchDigest(ratingCategories);
+const headToHead = new HeadToHead(ratingCategories);
+const matchImporter = new MatchImporter(database, ratingProfiles, ratingCategories);
+const jobScheduler = new JobScheduler();
+
+// One engine per rating profile, created on first use
+const ratingEngines = { [RatingProfiles.DEFAULT_PROFILE]: ratingEngine };
+
+function getRatingEngine(profileName = RatingProfiles.DEFAULT_PROFILE) {
+    if (!ratingEngines[profileName]) {
+        ratingEngines[profileName] = new FootballRatingEngine(profileName, ratingProfiles, ratingCategories);
+    }
+    return ratingEngines[profileName];
+}
 
 // Initialize database
 let dbInitialized = false;
@@ -37,6 +77,7 @@ database.initialize()
     .then(() => {
         dbInitialized = true;
         console.log('✅ Database initialized and marked as ready');
+        startJobs();
     })
     .catch((err) => {
         console.error('❌ Database initialization failed:', err);
@@ -54,6 +95,23 @@ app.use('/api', (req, res, next) => {
     next();
 });
 
+// Admin routes require the X-Admin-Token header when ADMIN_TOKEN is set
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (adminToken && req.get('X-Admin-Token') !== adminToken) {
+        return res.status(401).json({ error: 'Admin token required' });
+    }
+    next();
+}
+
+// Routes that store user-supplied data stay closed until ADMIN_TOKEN is set
+function requireAdminToken(req, res, next) {
+    if (!process.env.ADMIN_TOKEN) {
+        return res.status(403).json({ error: 'Set ADMIN_TOKEN to enable this route' });
+    }
+    requireAdmin(req, res, next);
+}
+
 // Explicit static file routes
 app.get('/script.js', (req, res) => {
     res.setHeader('Content-Type', 'application/javascript');
@@ -80,31 +138,165 @@ app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'ok', 
         database: dbInitialized ? 'initialized' : 'not initialized',
+        provider: apiService.provider.name,
+        providerStats: apiService.getStats(),
         timestamp: new Date().toISOString()
     });
 });
 
-// Get all matches with ratings
+// Filterable, paginated match list (see README for the parameters)
 app.get('/api/matches', async (req, res) => {
+    let query;
     try {
-        console.log('📊 Fetching all matches from database...');
-        const matches = await database.getAllMatches();
-        console.log(`📊 Found ${matches.length} matches in database`);
-        if (matches.length > 0) {
-            console.log('📊 Sample match:', {
-                id: matches[0].id,
-                teams: `${matches[0].homeTeam} vs ${matches[0].awayTeam}`,
-                rating: matches[0].rating?.totalScore
-            });
-        }
-        res.json(matches);
+        query = database.resolveQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        const page = await database.queryMatches(query);
+        console.log(`📊 Returning ${page.matches.length} of ${page.pagination.total} matches`);
+        res.json(page);
     } catch (error) {
         console.error('❌ Error fetching matches:', error);
         res.status(500).json({ error: 'Failed to fetch matches' });
     }
 });
 
-// Get matches by competition
+// Get configured competitions (?all=true includes disabled ones)
+app.get('/api/competitions', (req, res) => {
+    res.json({
+        competitions: competitionRegistry.listCompetitions({ enabledOnly: req.query.all !== 'true' })
+    });
+});
+
+// Search teams by name, short name or alias (fuzzy, for the team filter box)
+app.get('/api/teams', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    res.json({
+        teams: req.query.search ? teamRegistry.search(req.query.search, limit) : teamRegistry.listTeams()
+    });
+});
+
+// Watchability profile for a team (ID, name or alias), optionally narrowed by competition and dates
+app.get('/api/teams/:team/stats', async (req, res) => {
+    const team = teamRegistry.resolve(req.params.team);
+    if (!team) {
+        return res.status(404).json({ error: `Unknown team: ${req.params.team}` });
+    }
+    
+    let query;
+    try {
+        const { competition, dateFrom, dateTo } = req.query;
+        query = { ...database.resolveQuery({ team: team.id, competition, dateFrom, dateTo }), limit: null };
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        const window = Math.min(Math.max(parseInt(req.query.window, 10) || TeamStats.DEFAULT_TREND_WINDOW, 1), 20);
+        const { matches } = await database.queryMatches(query);
+        res.json(teamStats.build(team, matches, { window }));
+    } catch (error) {
+        console.error('❌ Error building team stats:', error);
+        res.status(500).json({ error: 'Failed to build team stats' });
+    }
+});
+
+// Every stored meeting between two teams (IDs, names or aliases) and how entertaining the fixture tends to be
+app.get('/api/head-to-head', async (req, res) => {
+    const { teamA: teamAParam, teamB: teamBParam } = req.query;
+    if (!teamAParam || !teamBParam) {
+        return res.status(400).json({ error: 'teamA and teamB are required' });
+    }
+    
+    const teamA = teamRegistry.resolve(teamAParam);
+    const teamB = teamRegistry.resolve(teamBParam);
+    if (!teamA || !teamB) {
+        return res.status(404).json({ error: `Unknown team: ${!teamA ? teamAParam : teamBParam}` });
+    }
+    if (teamA.id === teamB.id) {
+        return res.status(400).json({ error: 'teamA and teamB must be different teams' });
+    }
+    
+    try {
+        const { matches } = await database.queryMatches({ ...database.resolveQuery({ team: teamA.id }), limit: null });
+        res.json(headToHead.build(teamA, teamB, matches));
+    } catch (error) {
+        console.error('❌ Error fetching head-to-head:', error);
+        res.status(500).json({ error: 'Failed to fetch head-to-head' });
+    }
+});
+
+// Fixtures that are historically bangers, for flagging match cards
+app.get('/api/head-to-head/bangers', async (req, res) => {
+    try {
+        res.json({ fixtures: headToHead.listBangers(await database.getAllMatches()) });
+    } catch (error) {
+        console.error('❌ Error finding banger fixtures:', error);
+        res.status(500).json({ error: 'Failed to find banger fixtures' });
+    }
+});
+
+// Stored matches of a competition (code, name or alias) and how it's named in digests
+async function getDigestMatches(competitionParam) {
+    const query = database.resolveQuery({ competition: competitionParam });
+    const { registered, name } = query.competition;
+    const { matches } = await database.queryMatches({ ...query, limit: null });
+    return {
+        competition: registered ? { code: registered.code, name: registered.name } : { code: null, name },
+        matches
+    };
+}
+
+// Matchdays and weeks a competition has digests for, newest first
+app.get('/api/digests/:competition', async (req, res) => {
+    try {
+        const { competition, matches } = await getDigestMatches(req.params.competition);
+        res.json({ competition, digests: matchDigest.listGroups(matches) });
+    } catch (error) {
+        console.error('❌ Error listing digests:', error);
+        res.status(500).json({ error: 'Failed to list digests' });
+    }
+});
+
+// Spoiler-free "watch these, skip those" digest for a matchday or week (?format=json|html|markdown)
+app.get('/api/digests/:competition/:week', async (req, res) => {
+    const format = String(req.query.format || 'json').toLowerCase();
+    let week;
+    try {
+        if (!['json', 'html', 'markdown'].includes(format)) {
+            throw new Error('format must be json, html or markdown');
+        }
+        week = matchDigest.parseWeek(req.params.week, req.query.season);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        const { competition, matches } = await getDigestMatches(req.params.competition);
+        const group = matchDigest.selectGroup(matches, week);
+        if (!group) {
+            return res.status(404).json({ error: `No stored ${competition.name} matches for ${req.params.week}` });
+        }
+        
+        const digest = matchDigest.build(competition, group);
+        console.log(`📰 Digest for ${competition.name} ${digest.label}: ${digest.watch.length} to watch, ${digest.skip.length} to skip`);
+        
+        if (format === 'html') {
+            res.type('html').send(matchDigest.renderHtml(digest));
+        } else if (format === 'markdown') {
+            res.type('text/markdown').send(matchDigest.renderMarkdown(digest));
+        } else {
+            res.json(digest);
+        }
+    } catch (error) {
+        console.error('❌ Error building digest:', error);
+        res.status(500).json({ error: 'Failed to build digest' });
+    }
+});
+
+// Get matches by competition (code, name or alias)
 app.get('/api/matches/competition/:competition', async (req, res) => {
     try {
         const { competition } = req.params;
@@ -128,90 +320,132 @@ app.get('/api/matches/top-rated', async (req, res) => {
     }
 });
 
-// Fetch and rate new matches
-app.post('/api/matches/fetch', async (req, res) => {
+// Get scheduled fixtures with predicted watchability (?days=7&competition=PL)
+// Fixtures come from the scheduled fixtures job, so this never calls upstream
+app.get('/api/matches/upcoming', async (req, res) => {
     try {
-        const { days = 7 } = req.body;
-        console.log(`🔄 Fetching matches - Days: ${days}`);
+        const days = parseInt(req.query.days) || 7;
+        const now = Date.now();
+        const until = now + days * 24 * 60 * 60 * 1000;
+        let competition = null;
         
-        // Fetch from real API with error handling
-        console.log('🌐 Fetching from real API...');
-        let matches = [];
-        let fetchError = null;
+        if (req.query.competition) {
+            competition = competitionRegistry.resolve(req.query.competition);
+            if (!competition) {
+                return res.status(400).json({ error: `Unknown competition: ${req.query.competition}` });
+            }
+        }
         
+        const fixtures = upcomingFixtures.filter(fixture => new Date(fixture.date) > now && new Date(fixture.date) <= until
+            && (!competition || fixture.competitionCode === competition.code));
+        const history = await database.getAllMatches();
+        const predictions = matchPredictor.predictAll(fixtures, history)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        
+        res.json(predictions);
+    } catch (error) {
+        console.error('Error predicting upcoming matches:', error);
+        res.status(500).json({ error: 'Failed to predict upcoming matches' });
+    }
+});
+
+// Import matches from CSV (text/csv body) or JSON (?profile=, ?source=, ?dryRun=true)
+app.post('/api/matches/import', requireAdminToken, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+        const { profile = RatingProfiles.DEFAULT_PROFILE, source = MatchImporter.DEFAULT_SOURCE, dryRun } = req.query;
+        
+        if (!ratingProfiles.hasProfile(profile)) {
+            return res.status(400).json({ error: `Unknown rating profile: ${profile}` });
+        }
+        
+        let rows;
         try {
-            const fetchPromise = apiService.getRecentMatches(days);
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('API timeout')), 10000)
-            );
-            
-            matches = await Promise.race([fetchPromise, timeoutPromise]);
-            console.log(`📋 Found ${matches.length} matches to process`);
-        } catch (apiError) {
-            console.error('❌ API fetch failed:', apiError.message);
-            fetchError = apiError.message;
-            matches = []; // Continue with empty array
+            rows = matchImporter.parse(req.body, req.is('text/csv') ? 'csv' : undefined);
+        } catch (parseError) {
+            return res.status(400).json({ error: `Could not read import: ${parseError.message}` });
+        }
+        
+        const report = await matchImporter.import(rows, { profile, source, dryRun: dryRun === 'true' });
+        res.json(report);
+    } catch (error) {
+        console.error('Error importing matches:', error);
+        res.status(500).json({ error: 'Failed to import matches' });
+    }
+});
+
+// Get two-legged knockout ties rated on aggregate
+app.get('/api/ties', async (req, res) => {
+    try {
+        const { competition, profile = RatingProfiles.DEFAULT_PROFILE } = req.query;
+        
+        if (!ratingProfiles.hasProfile(profile)) {
+            return res.status(400).json({ error: `Unknown rating profile: ${profile}` });
         }
         
-        const ratedMatches = [];
+        const matches = competition ?
+            await database.getMatchesByCompetition(competition) :
+            await database.getAllMatches();
+        const explain = req.query.explain === 'true';
+        const ties = new TieRatingEngine(getRatingEngine(profile)).buildTies(matches, { explain });
+        
+        res.json(ties);
+    } catch (error) {
+        console.error('Error fetching ties:', error);
+        res.status(500).json({ error: 'Failed to fetch ties' });
+    }
+});
+
+// Get the league table for a competition code (e.g. PL)
+app.get('/api/standings/:competition', async (req, res) => {
+    try {
+        const standings = await apiService.getStandings(req.params.competition);
+        res.json(standings);
+    } catch (error) {
+        console.error('Error fetching standings:', error);
+        res.status(500).json({ error: 'Failed to fetch standings' });
+    }
+});
+
+// Run the ingestion jobs now (every competition, or ?competition=PL) through the scheduler,
+// so a manual fetch can't overlap a scheduled run of the same job
+app.post('/api/matches/fetch', requireAdmin, async (req, res) => {
+    try {
+        let names = jobScheduler.listJobs().map(job => job.name).filter(name => name.startsWith('ingest:'));
         
-        for (const match of matches) {
-            // Only process finished matches
-            if (match.status !== 'FINISHED') {
-                console.log(`⏭️ Skipping ${match.homeTeam} vs ${match.awayTeam} - Status: ${match.status}`);
-                continue;
+        if (req.query.competition) {
+            const competition = competitionRegistry.resolve(req.query.competition);
+            if (!competition) {
+                return res.status(400).json({ error: `Unknown competition: ${req.query.competition}` });
             }
-            
-            console.log(`⚽ Processing: ${match.homeTeam} vs ${match.awayTeam}`);
-            
-            // Calculate rating
-            const rating = ratingEngine.calculateRating(match);
-            console.log(`📊 Rating: ${rating.totalScore}/100 (${rating.rating})`);
-            
-            // Save to database
-            const matchId = await database.saveMatch(match, rating);
-            console.log(`💾 Saved to database with ID: ${matchId}`);
-            
-            ratedMatches.push({
-                ...match,
-                rating
-            });
+            names = [`ingest:${competition.code}`];
         }
         
-        console.log(`✅ Successfully processed ${ratedMatches.length} matches`);
+        const runs = await Promise.all(names.map(name => jobScheduler.runJob(name)
+            .then(run => ({ job: name, ...run }))
+            .catch(error => ({ job: name, status: 'failed', error: error.message }))));
+        const failed = runs.filter(run => run.status === 'failed').length;
         
         res.json({
-            message: fetchError ? 
-                `API fetch failed: ${fetchError}. Processed ${ratedMatches.length} existing matches.` : 
-                `Processed ${ratedMatches.length} matches`,
-            matches: ratedMatches,
-            apiError: fetchError
+            message: `Ran ${runs.length} ingestion job${runs.length === 1 ? '' : 's'}${failed > 0 ? `, ${failed} failed` : ''}`,
+            runs
         });
     } catch (error) {
         console.error('❌ Error in fetch endpoint:', error);
-        // Return existing matches even if there's an error
-        try {
-            const existingMatches = await database.getAllMatches();
-            res.json({
-                message: `Error occurred: ${error.message}. Showing ${existingMatches.length} existing matches.`,
-                matches: existingMatches,
-                error: error.message
-            });
-        } catch (dbError) {
-            res.json({
-                message: 'Error occurred and could not fetch existing matches',
-                matches: [],
-                error: error.message
-            });
-        }
+        res.status(500).json({ error: 'Failed to run ingestion' });
     }
 });
 
 // Calculate rating for a specific match
 app.post('/api/rate-match', (req, res) => {
     try {
-        const matchData = req.body;
-        const rating = ratingEngine.calculateRating(matchData);
+        const { profile = RatingProfiles.DEFAULT_PROFILE, ...matchData } = req.body;
+        
+        if (!ratingProfiles.hasProfile(profile)) {
+            return res.status(400).json({ error: `Unknown rating profile: ${profile}` });
+        }
+        
+        const explain = req.query.explain === 'true';
+        const rating = getRatingEngine(profile).calculateRating(matchData, { explain });
         res.json(rating);
     } catch (error) {
         console.error('Error calculating rating:', error);
@@ -219,102 +453,290 @@ app.post('/api/rate-match', (req, res) => {
     }
 });
 
-// Get detailed match information with real goal data
+// Get a stored match with its goals, events and rating explanation (by provider match ID)
 app.get('/api/matches/:matchId/details', async (req, res) => {
     try {
         const { matchId } = req.params;
-        console.log(`🔍 Fetching details for match ID: ${matchId}`);
-        
-        const matchDetails = await apiService.getMatchDetails(matchId);
+        const match = await database.getMatch(/^\d+$/.test(matchId) ? Number(matchId) : matchId);
         
-        if (!matchDetails) {
+        if (!match) {
             return res.status(404).json({ error: 'Match not found' });
         }
         
-        // Calculate rating for the detailed match
-        const rating = ratingEngine.calculateRating(matchDetails);
-        
-        res.json({
-            ...matchDetails,
-            rating
-        });
+        res.json(match);
     } catch (error) {
         console.error('Error fetching match details:', error);
         res.status(500).json({ error: 'Failed to fetch match details' });
     }
 });
 
+// Corrections made to a stored match (what changed, when, and the rating it had before)
+app.get('/api/matches/:id/history', async (req, res) => {
+    try {
+        const history = await database.getMatchHistory(parseInt(req.params.id));
+        
+        if (!history) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching match history:', error);
+        res.status(500).json({ error: 'Failed to fetch match history' });
+    }
+});
+
+// Re-rate every stored match with the current engine (dryRun reports changes without saving)
+app.post('/api/admin/rerate', requireAdmin, async (req, res) => {
+    try {
+        const { dryRun = false, profile = null, force = false } = req.body;
+        
+        if (profile && !ratingProfiles.hasProfile(profile)) {
+            return res.status(400).json({ error: `Unknown rating profile: ${profile}` });
+        }
+        
+        const report = await new MatchRerater(database, ratingProfiles, ratingCategories).run({ dryRun, profile, force });
+        res.json(report);
+    } catch (error) {
+        console.error('Error re-rating matches:', error);
+        res.status(500).json({ error: 'Failed to re-rate matches' });
+    }
+});
+
+// Current in-play matches with provisional ratings
+app.get('/api/live', (req, res) => {
+    res.json({ matches: liveTracker.getLiveMatches() });
+});
+
+// Stream provisional rating updates (and final ratings at full time) as Server-Sent Events
+app.get('/api/live/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const onUpdate = match => send('update', match);
+    const onFinal = match => send('final', match);
+    const onRemoved = match => send('removed', match);
+    
+    send('snapshot', { matches: liveTracker.getLiveMatches() });
+    liveTracker.on('update', onUpdate);
+    liveTracker.on('final', onFinal);
+    liveTracker.on('removed', onRemoved);
+    
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        liveTracker.off('update', onUpdate);
+        liveTracker.off('final', onFinal);
+        liveTracker.off('removed', onRemoved);
+    });
+    
+    // The first viewer shouldn't have to wait for the next scheduled poll
+    if (!liveTracker.lastPollAt || Date.now() - liveTracker.lastPollAt > 60 * 1000) {
+        jobScheduler.runJob('live').catch(() => {});
+    }
+});
+
+// Get scheduled jobs with their last and next runs
+app.get('/api/jobs', (req, res) => {
+    res.json({
+        enabled: jobsConfig.enabled,
+        jobs: jobScheduler.listJobs()
+    });
+});
+
+// Run a scheduled job now (skipped when it is already running)
+app.post('/api/jobs/:name/run', requireAdmin, async (req, res) => {
+    try {
+        const record = await jobScheduler.runJob(req.params.name);
+        res.json(record);
+    } catch (error) {
+        if (error.message.startsWith('Unknown job')) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error running job:', error);
+        res.status(500).json({ error: `Job failed: ${error.message}` });
+    }
+});
+
+// Start (or resume) a backfill in the background; progress is in the checkpoint list
+app.post('/api/admin/backfill', requireAdmin, (req, res) => {
+    let options;
+    try {
+        options = backfiller.resolveOptions(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const key = backfiller.getCheckpointFile(options.competition, options.dateFrom, options.dateTo);
+    if (runningBackfills.has(key)) {
+        return res.status(409).json({ error: 'This backfill is already running' });
+    }
+    
+    runningBackfills.add(key);
+    backfiller.run({ ...req.body, ...options })
+        .catch(error => console.error('❌ Backfill failed:', error.message))
+        .finally(() => runningBackfills.delete(key));
+    
+    res.status(202).json({
+        message: `Backfill of ${options.competition} ${options.dateFrom}..${options.dateTo} started`,
+        ...options
+    });
+});
+
+// List backfill checkpoints (running, interrupted and completed)
+app.get('/api/admin/backfill', requireAdmin, (req, res) => {
+    try {
+        res.json({ backfills: backfiller.listCheckpoints() });
+    } catch (error) {
+        console.error('Error listing backfills:', error);
+        res.status(500).json({ error: 'Failed to list backfills' });
+    }
+});
+
 // Get rating categories
 app.get('/api/rating-categories', (req, res) => {
     res.json({
-        categories: [
-            { name: 'Excellent', min: 90, max: 100, color: '#22c55e' },
-            { name: 'Very Good', min: 75, max: 89, color: '#84cc16' },
-            { name: 'Good', min: 60, max: 74, color: '#eab308' },
-            { name: 'Average', min: 40, max: 59, color: '#f97316' },
-            { name: 'Poor', min: 20, max: 39, color: '#ef4444' },
-            { name: 'Very Poor', min: 0, max: 19, color: '#dc2626' }
-        ]
+        categories: ratingCategories.listCategories()
     });
 });
 
-// Auto-fetch matches on server startup
-async function autoFetchOnStartup() {
-    try {
-        console.log('🚀 Auto-fetching matches on startup...');
-        const matches = await apiService.getRecentMatches(7);
-        
-        console.log(`📋 Found ${matches.length} matches to process`);
+// Get available rating profiles
+app.get('/api/rating-profiles', (req, res) => {
+    res.json({ profiles: ratingProfiles.listProfiles() });
+});
+
+// Scheduled ingestion: one job per enabled competition, configured in config/jobs.json
+function loadJobsConfig() {
+    const jobsFile = process.env.JOBS_FILE || path.join(__dirname, 'config', 'jobs.json');
+    const config = JSON.parse(fs.readFileSync(jobsFile, 'utf8'));
+    
+    if (process.env.JOBS_ENABLED !== undefined) {
+        config.enabled = process.env.JOBS_ENABLED !== 'false';
+    }
+    return config;
+}
+
+const jobsConfig = loadJobsConfig();
+
+function registerIngestionJobs() {
+    const ingestion = jobsConfig.ingestion || {};
+    const overrides = ingestion.competitions || {};
+    
+    competitionRegistry.listCompetitions().forEach(competition => {
+        const settings = { ...ingestion, ...overrides[competition.code] };
         
-        const ratedMatches = [];
-        for (const match of matches) {
-            // Only process finished matches
-            if (match.status !== 'FINISHED') {
-                console.log(`⏭️ Skipping ${match.homeTeam} vs ${match.awayTeam} - Status: ${match.status}`);
-                continue;
+        jobScheduler.addJob({
+            name: `ingest:${competition.code}`,
+            description: `Fetch and rate the last ${settings.days || 3} days of ${competition.name}`,
+            schedule: settings.schedule || '*/30 * * * *',
+            run: async () => {
+                const result = await ingester.ingest({
+                    days: settings.days || 3,
+                    competitions: [competition.code],
+                    profile: settings.profile || RatingProfiles.DEFAULT_PROFILE
+                });
+                
+                if (result.error) {
+                    throw new Error(result.error);
+                }
+                return { fetched: result.fetched, processed: result.processed, added: result.added };
             }
-            
-            console.log(`⚽ Processing: ${match.homeTeam} vs ${match.awayTeam}`);
-            
-            // Calculate rating
-            const rating = ratingEngine.calculateRating(match);
-            console.log(`📊 Rating: ${rating.totalScore}/100 (${rating.rating})`);
-            
-            // Save to database
-            const matchId = await database.saveMatch(match, rating);
-            console.log(`💾 Saved to database with ID: ${matchId}`);
-            
-            ratedMatches.push({
-                ...match,
-                rating
-            });
-        }
-        
-        console.log(`✅ Successfully processed ${ratedMatches.length} matches on startup`);
-    } catch (error) {
-        console.error('❌ Error during auto-fetch on startup:', error);
+        });
+    });
+}
+
+function startJobs() {
+    if (!jobsConfig.enabled) {
+        console.log('⏰ Scheduled jobs are disabled');
+        return;
+    }
+    
+    jobScheduler.start();
+    
+    if (jobsConfig.ingestion && jobsConfig.ingestion.runOnStartup) {
+        jobScheduler.listJobs()
+            .filter(job => job.name.startsWith('ingest:'))
+            .forEach(job => jobScheduler.runJob(job.name).catch(() => {}));
+    }
+    
+    if (fixturesConfig.runOnStartup) {
+        jobScheduler.runJob('fixtures').catch(() => {});
     }
 }
 
+registerIngestionJobs();
+
+// Scheduled fixtures for the Upcoming tab, refreshed by the fixtures job (kept when a fetch fails)
+const fixturesConfig = jobsConfig.fixtures || {};
+const fixtureDays = fixturesConfig.days || 7;
+let upcomingFixtures = [];
+
+jobScheduler.addJob({
+    name: 'fixtures',
+    description: `Fetch scheduled fixtures for the next ${fixtureDays} days`,
+    schedule: fixturesConfig.schedule || '0 * * * *',
+    run: async () => {
+        upcomingFixtures = await apiService.getUpcomingMatches(fixtureDays);
+        return { fixtures: upcomingFixtures.length };
+    }
+});
+
+// Live tracking polls in-play matches while anyone is watching the stream
+const liveConfig = jobsConfig.live || {};
+const liveTracker = new LiveTracker(apiService, database, ratingProfiles, ratingCategories,
+    liveConfig.profile || RatingProfiles.DEFAULT_PROFILE);
+
+jobScheduler.addJob({
+    name: 'live',
+    description: 'Poll in-play matches and update provisional ratings',
+    schedule: liveConfig.schedule || '* * * * *',
+    run: () => liveTracker.poll()
+});
+
 // Start server
 app.listen(port, async () => {
     console.log(`Footy Rater server running on http://localhost:${port}`);
     console.log('Available endpoints:');
-    console.log('  GET  /api/matches - Get all matches');
+    console.log('  GET  /api/matches - Query stored matches (filters, sorting, pagination)');
+    console.log('  GET  /api/competitions - Get configured competitions');
+    console.log('  GET  /api/teams - Get teams (?search= for fuzzy name and alias search)');
+    console.log('  GET  /api/teams/:team/stats - Get a team\'s watchability profile and trend');
+    console.log('  GET  /api/head-to-head?teamA=&teamB= - Every stored meeting of two teams and how entertaining it tends to be');
+    console.log('  GET  /api/head-to-head/bangers - Fixtures that are historically bangers');
+    console.log('  GET  /api/digests/:competition - List matchdays and weeks with digests');
+    console.log('  GET  /api/digests/:competition/:week - Spoiler-free digest (?format=json|html|markdown)');
     console.log('  GET  /api/matches/competition/:competition - Get matches by competition');
     console.log('  GET  /api/matches/top-rated - Get top rated matches');
-    console.log('  GET  /api/matches/:matchId/details - Get detailed match info with real goals');
-    console.log('  POST /api/matches/fetch - Fetch and rate new matches');
-    console.log('  POST /api/rate-match - Calculate rating for a match');
+    console.log('  GET  /api/matches/upcoming - Get upcoming fixtures with predicted watchability');
+    console.log('  GET  /api/standings/:competition - Get the league table for a competition code');
+    console.log('  GET  /api/ties - Get two-legged knockout ties rated on aggregate');
+    console.log('  GET  /api/live - Get in-play matches with provisional ratings');
+    console.log('  GET  /api/live/stream - Stream live rating updates (Server-Sent Events)');
+    console.log('  GET  /api/matches/:matchId/details - Get a stored match with its goals and rating explanation');
+    console.log('  GET  /api/matches/:id/history - Corrections and rating history for a stored match');
+    console.log('  POST /api/matches/fetch - Run the ingestion jobs now (?competition= for one)');
+    console.log('  POST /api/matches/import - Import matches from CSV or JSON');
+    console.log('  POST /api/rate-match - Calculate rating for a match (?explain=true for a trace)');
+    console.log('  POST /api/admin/rerate - Re-rate stored matches with the current engine');
+    console.log('  POST /api/admin/backfill - Backfill a past season or date range for a competition');
+    console.log('  GET  /api/admin/backfill - Get backfill progress');
+    console.log('  GET  /api/jobs - Get scheduled jobs with their last and next runs');
+    console.log('  POST /api/jobs/:name/run - Run a scheduled job now');
     console.log('  GET  /api/rating-categories - Get rating categories');
-    
-    // Auto-fetch matches on startup (disabled to start with clean database)
-    // await autoFetchOnStartup();
+    console.log('  GET  /api/rating-profiles - Get available rating profiles');
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\nShutting down server...');
+    jobScheduler.stop();
     database.close();
     process.exit(0);
 });
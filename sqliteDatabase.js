@@ -0,0 +1,581 @@
+const path = require('path');
+const FootballDatabase = require('./database');
+
+// Each migration runs once, in order; PRAGMA user_version records how far a file has got.
+// The first one matches the schema footy_ratings.db already shipped with, so that file upgrades in place.
+const MIGRATIONS = [
+    {
+        name: 'create matches and ratings',
+        sql: `
+            CREATE TABLE IF NOT EXISTS matches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                api_id INTEGER UNIQUE,
+                home_team TEXT NOT NULL,
+                away_team TEXT NOT NULL,
+                home_score INTEGER NOT NULL,
+                away_score INTEGER NOT NULL,
+                date TEXT NOT NULL,
+                status TEXT NOT NULL,
+                competition TEXT NOT NULL,
+                goals TEXT,
+                watchability_score INTEGER,
+                rating_category TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS ratings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                match_id INTEGER,
+                goal_volume_score INTEGER,
+                goal_timing_score INTEGER,
+                goal_distribution_score INTEGER,
+                total_score INTEGER,
+                rating_category TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (match_id) REFERENCES matches (id)
+            );
+        `
+    },
+    {
+        name: 'add columns the JSON store gained since',
+        sql: `
+            ALTER TABLE matches ADD COLUMN competition_code TEXT;
+            ALTER TABLE matches ADD COLUMN stage TEXT;
+            ALTER TABLE matches ADD COLUMN duration TEXT;
+            ALTER TABLE matches ADD COLUMN extra_time TEXT;
+            ALTER TABLE matches ADD COLUMN penalties TEXT;
+            ALTER TABLE matches ADD COLUMN events TEXT;
+            ALTER TABLE matches ADD COLUMN data_confidence TEXT;
+            ALTER TABLE matches ADD COLUMN source TEXT;
+            ALTER TABLE matches ADD COLUMN rating_profile TEXT;
+            ALTER TABLE matches ADD COLUMN engine_version TEXT;
+            ALTER TABLE ratings ADD COLUMN drama_score INTEGER;
+            ALTER TABLE ratings ADD COLUMN shootout_score INTEGER;
+            ALTER TABLE ratings ADD COLUMN closeness_score INTEGER;
+            ALTER TABLE ratings ADD COLUMN profile TEXT;
+            ALTER TABLE ratings ADD COLUMN engine_version TEXT;
+            ALTER TABLE ratings ADD COLUMN explanation TEXT;
+            ALTER TABLE ratings ADD COLUMN timeline TEXT;
+        `
+    },
+    {
+        name: 'index the columns we filter and sort on',
+        sql: `
+            CREATE INDEX IF NOT EXISTS idx_matches_date ON matches (date);
+            CREATE INDEX IF NOT EXISTS idx_matches_competition ON matches (competition);
+            CREATE INDEX IF NOT EXISTS idx_matches_competition_code ON matches (competition_code);
+            CREATE INDEX IF NOT EXISTS idx_matches_home_team ON matches (home_team);
+            CREATE INDEX IF NOT EXISTS idx_matches_away_team ON matches (away_team);
+            CREATE INDEX IF NOT EXISTS idx_matches_score ON matches (watchability_score);
+            CREATE INDEX IF NOT EXISTS idx_ratings_match_id ON ratings (match_id);
+        `
+    },
+    {
+        name: 'add the match correction audit trail',
+        sql: `
+            CREATE TABLE match_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                match_id INTEGER NOT NULL,
+                changed_at TEXT NOT NULL,
+                changes TEXT NOT NULL,
+                previous_rating TEXT,
+                rating_id INTEGER,
+                FOREIGN KEY (match_id) REFERENCES matches (id)
+            );
+            CREATE INDEX idx_match_history_match_id ON match_history (match_id);
+        `
+    },
+    {
+        name: 'add team registry IDs',
+        sql: `
+            ALTER TABLE matches ADD COLUMN home_team_id TEXT;
+            ALTER TABLE matches ADD COLUMN away_team_id TEXT;
+            CREATE INDEX idx_matches_home_team_id ON matches (home_team_id);
+            CREATE INDEX idx_matches_away_team_id ON matches (away_team_id);
+        `
+    },
+    {
+        name: 'add matchday',
+        sql: `
+            ALTER TABLE matches ADD COLUMN matchday INTEGER;
+        `
+    }
+];
+
+// Columns holding objects in the JSON store; SQLite keeps them as JSON text
+const MATCH_JSON_COLUMNS = ['extra_time', 'penalties'];
+const RATING_JSON_COLUMNS = ['explanation', 'timeline'];
+const HISTORY_JSON_COLUMNS = ['changes', 'previous_rating'];
+
+// getDataConfidence in SQL: rows from before confidence was stored are synthesized when every goal is by 'Unknown'
+const CONFIDENCE_SQL = `
+    CASE
+        WHEN data_confidence IS NOT NULL THEN data_confidence
+        WHEN json_array_length(COALESCE(goals, '[]')) > 0
+            AND NOT EXISTS (SELECT 1 FROM json_each(goals) WHERE json_extract(value, '$.scorer') IS NOT 'Unknown')
+            THEN 'synthesized'
+        ELSE 'full'
+    END`;
+
+/**
+ * SQLite storage backend with the same interface as the JSON store
+ *
+ * Rows come back in the JSON store's snake_case shape, so formatting, confidence and
+ * rating rows are shared with FootballDatabase. Queries hit indexes instead of
+ * re-reading everything, and every write touches only the rows it changes.
+ */
+class SqliteFootballDatabase extends FootballDatabase {
+    /**
+     * @param {RatingCategories} categories - Category registry used to label stored ratings
+     * @param {CompetitionRegistry} competitions - Competition registry used to filter by competition
+     * @param {TeamRegistry} teams - Team registry used to store canonical team names and IDs
+     * @param {string} dbFile - SQLite file (defaults to DATABASE_FILE, then footy_ratings.db)
+     */
+    constructor(categories, competitions, teams, dbFile) {
+        super(categories, competitions, teams);
+        this.dbFile = dbFile || process.env.DATABASE_FILE || path.join(__dirname, 'footy_ratings.db');
+        this.db = null;
+    }
+
+    /**
+     * Open the database file and bring its schema up to date
+     */
+    async initialize() {
+        console.log('🚀 Initializing SQLite database...');
+        // Only needed for this backend, so the JSON store works without the native module
+        const Database = require('better-sqlite3');
+
+        this.db = new Database(this.dbFile);
+        this.db.pragma('journal_mode = WAL');
+        this.runMigrations();
+
+        const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM matches').get();
+        console.log(`✅ SQLite database ${this.dbFile} ready with ${count} matches`);
+    }
+
+    /**
+     * Apply every migration the file hasn't seen yet
+     */
+    runMigrations() {
+        const version = this.db.pragma('user_version', { simple: true });
+
+        MIGRATIONS.slice(version).forEach((migration, i) => {
+            const target = version + i + 1;
+            this.db.transaction(() => {
+                this.db.exec(migration.sql);
+                this.db.pragma(`user_version = ${target}`);
+            })();
+            console.log(`🗃️ Applied migration ${target}: ${migration.name}`);
+        });
+    }
+
+    /**
+     * Parse the JSON text columns back into objects
+     */
+    parseRow(row, jsonColumns) {
+        if (!row) return row;
+
+        jsonColumns.forEach(column => {
+            if (typeof row[column] === 'string') {
+                row[column] = JSON.parse(row[column]);
+            }
+        });
+        return row;
+    }
+
+    toJson(value) {
+        return value === null || value === undefined ? null : JSON.stringify(value);
+    }
+
+    /**
+     * Save match and rating data
+     */
+    async saveMatch(matchData, ratingData) {
+        const {
+            id, homeTeam, awayTeam, homeScore, awayScore,
+            date, status, competition, competitionCode = null, stage = null, matchday = null, goals, events,
+            duration = 'REGULAR', extraTime = null, penalties = null, source = null
+        } = matchData;
+        const dataConfidence = matchData.dataConfidence || ratingData.confidence || 'full';
+        const home = this.resolveTeam(homeTeam, matchData.homeTeamId);
+        const away = this.resolveTeam(awayTeam, matchData.awayTeamId);
+
+        console.log(`💾 Saving match to database: ${homeTeam} vs ${awayTeam}`);
+
+        const existingMatch = this.getMatchByApiId(id);
+
+        if (existingMatch) {
+            // Upsert: corrections (and late goal details) update the stored match
+            const { updates, changes, rerate } = this.diffMatch(existingMatch, matchData, dataConfidence);
+
+            if (Object.keys(changes).length === 0) {
+                console.log(`💾 Match already exists with ID: ${existingMatch.id}, nothing changed`);
+                return existingMatch.id;
+            }
+
+            console.log(`✏️ Correcting match ID ${existingMatch.id}: ${Object.keys(changes).join(', ')}${rerate ? ', re-rating' : ''}`);
+
+            this.db.transaction(() => {
+                const historyRow = this.buildHistoryRow(existingMatch, changes);
+                const columns = Object.keys(updates);
+                this.db.prepare(`UPDATE matches SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`)
+                    .run(...columns.map(column => (MATCH_JSON_COLUMNS.includes(column) ? this.toJson(updates[column]) : updates[column])), existingMatch.id);
+
+                historyRow.rating_id = rerate ? this.insertRating(existingMatch.id, ratingData) : null;
+                this.db.prepare(`
+                    INSERT INTO match_history (match_id, changed_at, changes, previous_rating, rating_id)
+                    VALUES (?, ?, ?, ?, ?)
+                `).run(historyRow.match_id, historyRow.changed_at, this.toJson(historyRow.changes), this.toJson(historyRow.previous_rating), historyRow.rating_id);
+            })();
+            return existingMatch.id;
+        }
+
+        const matchId = this.db.transaction(() => {
+            const result = this.db.prepare(`
+                INSERT INTO matches (
+                    api_id, home_team, away_team, home_team_id, away_team_id, home_score, away_score, date, status,
+                    competition, competition_code, stage, matchday, duration, extra_time, penalties, goals, events,
+                    data_confidence, source, watchability_score, rating_category, rating_profile, engine_version, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                id, home.name, away.name, home.id, away.id, homeScore, awayScore, date, status, competition,
+                competitionCode, stage, matchday, duration, this.toJson(extraTime), this.toJson(penalties),
+                JSON.stringify(goals || []), JSON.stringify(events || []), dataConfidence,
+                source, ratingData.totalScore, ratingData.rating, ratingData.profile || 'default',
+                ratingData.engineVersion || null, new Date().toISOString()
+            );
+
+            this.insertRating(result.lastInsertRowid, ratingData, { updateMatch: false });
+            return Number(result.lastInsertRowid);
+        })();
+
+        console.log(`💾 Match inserted with ID: ${matchId}`);
+        return matchId;
+    }
+
+    /**
+     * Insert a rating row and (by default) make it the match's current rating
+     */
+    insertRating(matchId, ratingData, { updateMatch = true } = {}) {
+        const row = this.buildRatingRow(Number(matchId), ratingData);
+        const result = this.db.prepare(`
+            INSERT INTO ratings (
+                match_id, goal_volume_score, goal_timing_score, goal_distribution_score, drama_score,
+                shootout_score, closeness_score, total_score, rating_category, profile, engine_version,
+                explanation, timeline, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            row.match_id, row.goal_volume_score, row.goal_timing_score, row.goal_distribution_score,
+            row.drama_score, row.shootout_score, row.closeness_score, row.total_score, row.rating_category,
+            row.profile, row.engine_version, this.toJson(row.explanation), this.toJson(row.timeline), row.created_at
+        );
+
+        if (updateMatch) {
+            this.db.prepare(`
+                UPDATE matches SET watchability_score = ?, rating_category = ?, rating_profile = ?, engine_version = ?
+                WHERE id = ?
+            `).run(ratingData.totalScore, ratingData.rating, ratingData.profile || 'default', ratingData.engineVersion || null, row.match_id);
+        }
+
+        return Number(result.lastInsertRowid);
+    }
+
+    /**
+     * Add a new current rating for a stored match
+     * Earlier rating rows are kept as history, never overwritten
+     */
+    async addRating(matchId, ratingData) {
+        if (!this.db.prepare('SELECT 1 FROM matches WHERE id = ?').get(matchId)) {
+            throw new Error(`Match not found: ${matchId}`);
+        }
+
+        const ratingId = this.db.transaction(() => this.insertRating(matchId, ratingData))();
+        console.log(`💾 Rating ${ratingId} added for match ID: ${matchId} (${ratingData.totalScore}/100)`);
+        return ratingId;
+    }
+
+    /**
+     * Check whether a provider match is already stored
+     */
+    hasMatch(apiId) {
+        return Boolean(this.db.prepare('SELECT 1 FROM matches WHERE api_id = ?').get(apiId));
+    }
+
+    /**
+     * Get the stored row for a provider match, or null
+     */
+    getMatchByApiId(apiId) {
+        return this.parseRow(this.db.prepare('SELECT * FROM matches WHERE api_id = ?').get(apiId), MATCH_JSON_COLUMNS) || null;
+    }
+
+    /**
+     * Get a stored provider match in the API match shape, or null when it isn't stored
+     */
+    async getMatch(apiId) {
+        const row = this.db.prepare('SELECT * FROM matches WHERE api_id = ?').get(apiId);
+        return row ? this.formatMatchRows([row])[0] : null;
+    }
+
+    /**
+     * Get every rating row for a match, oldest first
+     */
+    getRatingRows(matchId) {
+        return this.db.prepare('SELECT * FROM ratings WHERE match_id = ? ORDER BY id')
+            .all(matchId)
+            .map(row => this.parseRow(row, RATING_JSON_COLUMNS));
+    }
+
+    /**
+     * Get a stored match's corrections and rating history, or null when it doesn't exist
+     */
+    async getMatchHistory(matchId) {
+        const match = this.db.prepare('SELECT * FROM matches WHERE id = ?').get(matchId);
+        if (!match) {
+            return null;
+        }
+
+        const historyRows = this.db.prepare('SELECT * FROM match_history WHERE match_id = ? ORDER BY id')
+            .all(matchId)
+            .map(row => this.parseRow(row, HISTORY_JSON_COLUMNS));
+        return this.formatMatchHistory(match, this.getRatingRows(matchId), historyRows);
+    }
+
+    /**
+     * Current rating rows for a set of matches, keyed by match ID
+     */
+    getCurrentRatings(matchIds) {
+        const rows = this.db.prepare(`
+            SELECT * FROM ratings WHERE id IN (
+                SELECT MAX(id) FROM ratings
+                WHERE match_id IN (SELECT value FROM json_each(?))
+                GROUP BY match_id
+            )
+        `).all(JSON.stringify(matchIds));
+
+        return new Map(rows.map(row => [row.match_id, this.parseRow(row, RATING_JSON_COLUMNS)]));
+    }
+
+    /**
+     * Format match rows with their current ratings
+     */
+    formatMatchRows(rows) {
+        const matches = rows.map(row => this.parseRow(row, MATCH_JSON_COLUMNS));
+        const ratings = this.getCurrentRatings(matches.map(match => match.id));
+        return matches.map(match => this.formatMatchRow(match, ratings.get(match.id)));
+    }
+
+    /**
+     * Re-label stored ratings with the current category registry
+     * Only the category changes - scores stay as they were rated
+     * @returns {Array} Matches whose category changed
+     */
+    async recategorizeMatches({ dryRun = false } = {}) {
+        const rows = this.db.prepare('SELECT id, home_team, away_team, watchability_score, rating_category FROM matches WHERE watchability_score IS NOT NULL').all();
+        const changed = [];
+
+        rows.forEach(match => {
+            const category = this.categories.getCategory(match.watchability_score).name;
+            if (category === match.rating_category) return;
+
+            changed.push({
+                id: match.id,
+                match: `${match.home_team} vs ${match.away_team}`,
+                score: match.watchability_score,
+                oldCategory: match.rating_category,
+                newCategory: category
+            });
+        });
+
+        if (!dryRun && changed.length > 0) {
+            const updateMatch = this.db.prepare('UPDATE matches SET rating_category = ? WHERE id = ?');
+            const updateRating = this.db.prepare('UPDATE ratings SET rating_category = ? WHERE id = (SELECT MAX(id) FROM ratings WHERE match_id = ?)');
+
+            this.db.transaction(() => {
+                changed.forEach(change => {
+                    updateMatch.run(change.newCategory, change.id);
+                    updateRating.run(change.newCategory, change.id);
+                });
+            })();
+        }
+
+        console.log(`🏷️ ${changed.length} matches ${dryRun ? 'would be' : 'were'} re-categorized`);
+        return changed;
+    }
+
+    /**
+     * Turn a resolved query's filters into a WHERE clause
+     * @returns {Object} { where, params }
+     */
+    buildWhere(query) {
+        const clauses = [];
+        const params = [];
+        const { competition } = query;
+
+        if (query.team && query.team.registered) {
+            clauses.push(`(home_team_id = ? OR away_team_id = ?
+                OR lower(home_team) IN (SELECT value FROM json_each(?)) OR lower(away_team) IN (SELECT value FROM json_each(?)))`);
+            const names = JSON.stringify(query.team.names);
+            params.push(query.team.registered.id, query.team.registered.id, names, names);
+        } else if (query.team) {
+            clauses.push('(instr(lower(home_team), ?) > 0 OR instr(lower(away_team), ?) > 0)');
+            params.push(query.team.text, query.team.text);
+        }
+        if (competition && competition.registered) {
+            clauses.push('(competition_code = ? OR lower(competition) IN (SELECT lower(value) FROM json_each(?)))');
+            params.push(competition.registered.code, JSON.stringify(this.competitions.getNames(competition.registered)));
+        } else if (competition) {
+            clauses.push('competition = ?');
+            params.push(competition.name);
+        }
+        if (query.dateFrom) {
+            clauses.push('date >= ?');
+            params.push(query.dateFrom);
+        }
+        if (query.dateTo) {
+            clauses.push('date <= ?');
+            params.push(query.dateTo);
+        }
+        if (query.minScore !== null) {
+            clauses.push('watchability_score >= ?');
+            params.push(query.minScore);
+        }
+        if (query.maxScore !== null) {
+            clauses.push('watchability_score <= ?');
+            params.push(query.maxScore);
+        }
+        if (query.category) {
+            clauses.push('rating_category = ?');
+            params.push(query.category);
+        }
+        if (query.status) {
+            clauses.push('status = ?');
+            params.push(query.status);
+        }
+        if (query.confidence) {
+            clauses.push(`${CONFIDENCE_SQL} = ?`);
+            params.push(query.confidence);
+        }
+
+        return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+    }
+
+    /**
+     * Filter, sort and page stored matches
+     * @param {Object} query - From resolveQuery; limit null returns every match
+     * @returns {Object} { matches, pagination: { total, limit, offset, hasMore, nextCursor } }
+     */
+    async queryMatches(query = this.resolveQuery()) {
+        const { where, params } = this.buildWhere(query);
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM matches ${where}`).get(...params);
+
+        // Same order as the JSON store: the sort key, then ID, both in the query's direction
+        const key = query.sort === 'score' ? 'COALESCE(watchability_score, -1)' : 'date';
+        const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+        const pageParams = [...params];
+        let pageWhere = where;
+
+        // A cursor continues after the last match of the previous page
+        if (query.cursor) {
+            const operator = query.order === 'asc' ? '>' : '<';
+            pageWhere = `${where ? `${where} AND` : 'WHERE'} (${key} ${operator} ? OR (${key} = ? AND id ${operator} ?))`;
+            pageParams.push(query.cursor.key, query.cursor.key, query.cursor.id);
+        }
+
+        const rows = this.db.prepare(`
+            SELECT * FROM matches ${pageWhere}
+            ORDER BY ${key} ${direction}, id ${direction}
+            LIMIT ? OFFSET ?
+        `).all(...pageParams, query.limit === null ? -1 : query.limit + 1, query.offset);
+
+        return this.buildPage(query, rows, total, pageRows => this.formatMatchRows(pageRows));
+    }
+
+    /**
+     * Copy rows from the JSON store's files into this database in one transaction
+     *
+     * Matches whose api_id is already here are skipped. Match IDs are kept when they're free
+     * (always, with `replace`), and rating and audit trail rows follow their match.
+     * @param {Array} matches - Match rows as stored in data/matches.json
+     * @param {Array} ratings - Rating rows as stored in data/ratings.json
+     * @param {Array} history - Audit trail rows as stored in data/history.json
+     * @param {Object} options
+     * @param {boolean} options.replace - Delete everything in this database first
+     * @returns {Object} Counts of copied and skipped rows
+     */
+    importRows(matches, ratings, history = [], { replace = false } = {}) {
+        const matchColumns = this.db.pragma('table_info(matches)').map(column => column.name);
+        const ratingColumns = this.db.pragma('table_info(ratings)').map(column => column.name).filter(name => name !== 'id');
+        const historyColumns = this.db.pragma('table_info(match_history)').map(column => column.name).filter(name => name !== 'id');
+        const insert = (table, columns, row, jsonColumns) => this.db.prepare(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+        ).run(...columns.map(column => {
+            const value = row[column] === undefined ? null : row[column];
+            return jsonColumns.includes(column) ? this.toJson(value) : value;
+        }));
+
+        const idMap = new Map();
+        const ratingIdMap = new Map();
+        const summary = { matches: 0, ratings: 0, corrections: 0, skippedMatches: 0, skippedRatings: 0 };
+
+        this.db.transaction(() => {
+            if (replace) {
+                this.db.exec("DELETE FROM match_history; DELETE FROM ratings; DELETE FROM matches; DELETE FROM sqlite_sequence WHERE name IN ('matches', 'ratings', 'match_history');");
+            }
+
+            matches.forEach(match => {
+                if (match.api_id !== null && match.api_id !== undefined && this.hasMatch(match.api_id)) {
+                    summary.skippedMatches++;
+                    return;
+                }
+
+                const idTaken = this.db.prepare('SELECT 1 FROM matches WHERE id = ?').get(match.id);
+                const columns = matchColumns.filter(column => column !== 'id' || !idTaken);
+                const result = insert('matches', columns, match, MATCH_JSON_COLUMNS);
+                idMap.set(match.id, idTaken ? Number(result.lastInsertRowid) : match.id);
+                summary.matches++;
+            });
+
+            [...ratings].sort((a, b) => a.id - b.id).forEach(rating => {
+                if (!idMap.has(rating.match_id)) {
+                    summary.skippedRatings++;
+                    return;
+                }
+
+                const result = insert('ratings', ratingColumns, { ...rating, match_id: idMap.get(rating.match_id) }, RATING_JSON_COLUMNS);
+                ratingIdMap.set(rating.id, Number(result.lastInsertRowid));
+                summary.ratings++;
+            });
+
+            [...history].sort((a, b) => a.id - b.id).forEach(row => {
+                if (!idMap.has(row.match_id)) return;
+
+                insert('match_history', historyColumns, {
+                    ...row,
+                    match_id: idMap.get(row.match_id),
+                    rating_id: ratingIdMap.get(row.rating_id) ?? null,
+                    previous_rating: row.previous_rating && {
+                        ...row.previous_rating,
+                        rating_id: ratingIdMap.get(row.previous_rating.rating_id) ?? null
+                    }
+                }, HISTORY_JSON_COLUMNS);
+                summary.corrections++;
+            });
+        })();
+
+        return summary;
+    }
+
+    /**
+     * Close the database file
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        console.log('Database connection closed');
+    }
+}
+
+SqliteFootballDatabase.MIGRATIONS = MIGRATIONS;
+
+module.exports = SqliteFootballDatabase;
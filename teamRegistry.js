@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+
+// Club-type words that sources add or drop ("Arsenal FC", "AFC Bournemouth", "Club Brugge KV")
+const NAME_AFFIXES = new Set(['fc', 'afc', 'cf', 'sc', 'sk', 'fk', 'bc', 'kv', 'ac', 'club']);
+
+class TeamRegistry {
+    constructor(teamsFile) {
+        this.teamsFile = teamsFile
+            || process.env.TEAMS_FILE
+            || path.join(__dirname, 'config', 'teams.json');
+        this.teams = this.loadTeams();
+    }
+
+    /**
+     * Load and validate the team registry
+     */
+    loadTeams() {
+        const teams = JSON.parse(fs.readFileSync(this.teamsFile, 'utf8'));
+        const required = ['id', 'name'];
+        const seen = new Set();
+
+        teams.forEach(team => {
+            const missing = required.filter(key => team[key] === undefined);
+            if (missing.length > 0) {
+                throw new Error(`Team "${team.id || team.name}" is missing: ${missing.join(', ')}`);
+            }
+            if (seen.has(team.id)) {
+                throw new Error(`Team ID "${team.id}" is used more than once`);
+            }
+            seen.add(team.id);
+        });
+
+        return teams.map(team => ({
+            shortName: team.name,
+            tla: null,
+            providerIds: {},
+            aliases: [],
+            crest: null,
+            ...team
+        }));
+    }
+
+    /**
+     * List teams for the API, alphabetically
+     */
+    listTeams() {
+        return this.teams
+            .map(team => ({ ...team }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find a team by ID
+     */
+    getTeam(id) {
+        return this.teams.find(team => team.id === id) || null;
+    }
+
+    /**
+     * Every name a team is known by
+     */
+    getNames(team) {
+        return [team.name, team.shortName, ...team.aliases];
+    }
+
+    /**
+     * Lowercase, without accents, punctuation or club-type words, so spellings from different sources line up
+     */
+    normalize(name) {
+        const words = String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/ø/g, 'o')
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+        const core = words.filter(word => !NAME_AFFIXES.has(word));
+
+        return (core.length > 0 ? core : words).join(' ');
+    }
+
+    /**
+     * Resolve a team name from any source to its registry entry
+     * @param {string} name - Name as the source spells it
+     * @param {Object} options
+     * @param {string} options.source - Provider name, to look up by provider team ID
+     * @param {number} options.providerId - The provider's team ID
+     * @returns {Object|null} Registry team, or null for unknown teams
+     */
+    resolve(name, { source, providerId } = {}) {
+        if (source && providerId !== undefined && providerId !== null) {
+            const byProviderId = this.teams.find(team => team.providerIds[source] === providerId);
+            if (byProviderId) return byProviderId;
+        }
+
+        const wanted = String(name || '').trim().toLowerCase();
+        if (!wanted) return null;
+
+        const exact = this.teams.find(team =>
+            team.id === wanted
+            || (team.tla && team.tla.toLowerCase() === wanted)
+            || this.getNames(team).some(teamName => teamName.toLowerCase() === wanted));
+        if (exact) return exact;
+
+        const normalized = this.normalize(wanted);
+        return this.teams.find(team => this.getNames(team).some(teamName => this.normalize(teamName) === normalized)) || null;
+    }
+
+    /**
+     * Fuzzy search for the team filter box: exact names, then prefixes, then substrings, then near-misses
+     * @param {string} query - What the user typed
+     * @param {number} limit - Most teams to return
+     * @returns {Array} Teams with `match: { name, score }`, best first
+     */
+    search(query, limit = 10) {
+        const wanted = this.normalize(query);
+        if (!wanted) {
+            return this.listTeams().slice(0, limit);
+        }
+
+        return this.teams
+            .map(team => {
+                const best = this.getNames(team)
+                    .map(name => ({ name, score: this.scoreName(this.normalize(name), wanted) }))
+                    .reduce((a, b) => (b.score > a.score ? b : a));
+                const tla = team.tla && team.tla.toLowerCase() === wanted ? { name: team.tla, score: 100 } : null;
+                return { ...team, match: tla || best };
+            })
+            .filter(team => team.match.score > 0)
+            .sort((a, b) => b.match.score - a.match.score || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+
+    /**
+     * How well a normalized name matches a normalized query (0 = not at all)
+     */
+    scoreName(name, wanted) {
+        if (name === wanted) return 100;
+        if (name.startsWith(wanted)) return 80;
+        if (name.split(' ').some(word => word.startsWith(wanted))) return 70;
+        if (name.includes(wanted)) return 60;
+
+        // Typos: compare against the whole name and against each word, allowing one edit per four letters
+        const allowed = Math.floor(wanted.length / 4);
+        if (allowed === 0) return 0;
+
+        const distance = Math.min(
+            this.editDistance(name, wanted),
+            ...name.split(' ').map(word => this.editDistance(word, wanted))
+        );
+        return distance <= allowed ? 50 - distance * 10 : 0;
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
+
+module.exports = TeamRegistry;
@@ -0,0 +1,154 @@
+const RatingCategories = require('./ratingCategories');
+
+// Matches in each point of the rolling-average trend, and how many recent matches the trend covers
+const DEFAULT_TREND_WINDOW = 5;
+const DEFAULT_TREND_MATCHES = 20;
+
+// Games listed as a team's most and least watchable
+const HIGHLIGHT_COUNT = 3;
+
+const BREAKDOWN_KEYS = ['goalVolume', 'goalTiming', 'goalDistribution', 'drama', 'shootout', 'closeness'];
+
+/**
+ * Answers "are this team's games worth watching?" from its stored, rated matches
+ *
+ * Everything is an aggregate or a watchability figure: matches are listed by teams, date
+ * and rating only, never by score, so a team page can't spoil a result.
+ */
+class TeamStats {
+    /**
+     * @param {RatingCategories} categories - Category registry, for counts in category order
+     */
+    constructor(categories = new RatingCategories()) {
+        this.categories = categories;
+    }
+
+    /**
+     * Build a team's watchability profile
+     * @param {Object} team - Registry team
+     * @param {Array} matches - The team's stored matches (as returned by queryMatches)
+     * @param {Object} options
+     * @param {number} options.window - Matches in each rolling average
+     * @param {number} options.trendMatches - Most recent matches the trend covers
+     */
+    build(team, matches, { window = DEFAULT_TREND_WINDOW, trendMatches = DEFAULT_TREND_MATCHES } = {}) {
+        const rated = matches
+            .filter(match => match.rating && typeof match.rating.totalScore === 'number')
+            .map(match => ({ match, side: match.homeTeamId === team.id ? 'home' : 'away', score: match.rating.totalScore }))
+            .sort((a, b) => new Date(a.match.date) - new Date(b.match.date) || a.match.id - b.match.id);
+        const scores = rated.map(entry => entry.score);
+        const bothScored = rated.filter(({ match }) => match.homeScore > 0 && match.awayScore > 0).length;
+        const byScore = [...rated].sort((a, b) => b.score - a.score || new Date(b.match.date) - new Date(a.match.date));
+
+        return {
+            team: {
+                id: team.id,
+                name: team.name,
+                shortName: team.shortName,
+                tla: team.tla,
+                crest: team.crest
+            },
+            matches: rated.length,
+            averageScore: this.round(this.average(scores)),
+            medianScore: this.round(this.median(scores)),
+            home: this.summarize(rated.filter(entry => entry.side === 'home')),
+            away: this.summarize(rated.filter(entry => entry.side === 'away')),
+            categories: this.countCategories(rated),
+            bothTeamsScored: {
+                matches: bothScored,
+                share: rated.length > 0 ? this.round(bothScored / rated.length, 2) : null
+            },
+            breakdown: Object.fromEntries(BREAKDOWN_KEYS.map(key => [
+                key,
+                this.round(this.average(rated.map(({ match }) => match.rating.breakdown[key] || 0)))
+            ])),
+            trend: {
+                window,
+                points: this.buildTrend(rated, window).slice(-trendMatches)
+            },
+            mostWatchable: byScore.slice(0, HIGHLIGHT_COUNT).map(entry => this.describe(entry)),
+            // With few matches, a game already listed as most watchable isn't repeated as least watchable
+            leastWatchable: byScore.slice(Math.max(HIGHLIGHT_COUNT, byScore.length - HIGHLIGHT_COUNT)).reverse()
+                .map(entry => this.describe(entry))
+        };
+    }
+
+    /**
+     * Match count, average and median for one side (home or away)
+     */
+    summarize(entries) {
+        const scores = entries.map(entry => entry.score);
+        return {
+            matches: entries.length,
+            averageScore: this.round(this.average(scores)),
+            medianScore: this.round(this.median(scores))
+        };
+    }
+
+    /**
+     * Matches per rating category, best category first
+     */
+    countCategories(rated) {
+        return this.categories.listCategories().map(category => ({
+            name: category.name,
+            slug: category.slug,
+            count: rated.filter(({ match }) => match.rating.category === category.name).length
+        }));
+    }
+
+    /**
+     * Each match's rating next to the average of it and the matches just before it
+     * @param {Array} rated - Entries oldest first
+     */
+    buildTrend(rated, window) {
+        return rated.map((entry, i) => {
+            const recent = rated.slice(Math.max(0, i - window + 1), i + 1).map(previous => previous.score);
+            return {
+                ...this.describe(entry),
+                rollingAverage: this.round(this.average(recent))
+            };
+        });
+    }
+
+    /**
+     * A match as the team page shows it: who, when and how watchable - never the score
+     */
+    describe({ match, side, score }) {
+        return {
+            id: match.id,
+            date: match.date,
+            competition: match.competition,
+            venue: side,
+            opponent: side === 'home' ? match.awayTeam : match.homeTeam,
+            homeTeam: match.homeTeam,
+            awayTeam: match.awayTeam,
+            watchability: score,
+            category: match.rating.category,
+            categorySlug: match.rating.categorySlug
+        };
+    }
+
+    average(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    median(values) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    round(value, decimals = 1) {
+        if (value === null) return null;
+
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+TeamStats.DEFAULT_TREND_WINDOW = DEFAULT_TREND_WINDOW;
+TeamStats.DEFAULT_TREND_MATCHES = DEFAULT_TREND_MATCHES;
+
+module.exports = TeamStats;
@@ -0,0 +1,161 @@
+// Stages where home and away fixtures between the same teams are separate games, not legs
+const NON_KNOCKOUT_STAGES = ['REGULAR_SEASON', 'GROUP_STAGE', 'LEAGUE_STAGE'];
+
+// Used when a profile doesn't define a twoLeggedTie section
+const DEFAULT_TIE_CONFIG = {
+    max: 20,
+    closeTie: 5,
+    aggregateEqualizer: 4,
+    aggregateLeadChange: 5,
+    extraTime: 5
+};
+
+class TieRatingEngine {
+    /**
+     * @param {FootballRatingEngine} ratingEngine - Engine whose profile and categories the tie ratings use
+     */
+    constructor(ratingEngine) {
+        this.ratingEngine = ratingEngine;
+        this.config = { ...DEFAULT_TIE_CONFIG, ...(ratingEngine.profile.twoLeggedTie || {}) };
+    }
+
+    /**
+     * Link the two legs of every knockout pairing in a list of stored matches
+     * @param {Array} matches - Matches as returned by FootballDatabase (with per-match ratings)
+     * @param {Object} options - Rating options (explain)
+     * @returns {Array} Rated ties, most recent second leg first
+     */
+    buildTies(matches, options = {}) {
+        const pairings = {};
+
+        matches.forEach(match => {
+            if (!this.isKnockoutMatch(match)) return;
+
+            const teams = [match.homeTeam, match.awayTeam].sort();
+            const key = `${match.competition}|${match.stage}|${teams.join('|')}`;
+            (pairings[key] = pairings[key] || []).push(match);
+        });
+
+        const ties = Object.values(pairings)
+            .filter(legs => legs.length === 2)
+            .map(legs => legs.sort((a, b) => new Date(a.date) - new Date(b.date)))
+            .filter(([firstLeg, secondLeg]) =>
+                firstLeg.homeTeam === secondLeg.awayTeam && firstLeg.awayTeam === secondLeg.homeTeam)
+            .map(([firstLeg, secondLeg]) => this.rateTie(firstLeg, secondLeg, options));
+
+        ties.sort((a, b) => new Date(b.secondLeg.date) - new Date(a.secondLeg.date));
+        return ties;
+    }
+
+    /**
+     * Only finished matches from knockout rounds can be legs of a tie
+     */
+    isKnockoutMatch(match) {
+        return match.status === 'FINISHED'
+            && Boolean(match.stage)
+            && !NON_KNOCKOUT_STAGES.includes(match.stage)
+            && match.stage !== 'FINAL';
+    }
+
+    /**
+     * Rate the second leg in the context of the aggregate score
+     * Teams are named from the second leg's point of view: home is the side hosting the second leg
+     */
+    rateTie(firstLeg, secondLeg, options = {}) {
+        const trace = options.explain ? [] : null;
+        const aggregate = { home: firstLeg.awayScore, away: firstLeg.homeScore };
+        const startMargin = Math.abs(aggregate.home - aggregate.away);
+        let score = 0;
+        let aggregateEqualizers = 0;
+        let aggregateLeadChanges = 0;
+        let lastLeader = this.getLeader(aggregate);
+
+        // Tie still in the balance going into the second leg
+        if (startMargin <= 1) {
+            score += this.config.closeTie;
+            this.addContribution(trace, null, 'tie level or one goal in it before the second leg', this.config.closeTie);
+        }
+
+        (secondLeg.goals || []).forEach(goal => {
+            if (goal.team !== 'home' && goal.team !== 'away') return;
+
+            aggregate[goal.team]++;
+            const leader = this.getLeader(aggregate);
+
+            if (leader === null) {
+                aggregateEqualizers++;
+                score += this.config.aggregateEqualizer;
+                this.addContribution(trace, goal, 'aggregate equalizer', this.config.aggregateEqualizer);
+            } else if (lastLeader !== null && leader !== lastLeader) {
+                aggregateLeadChanges++;
+                score += this.config.aggregateLeadChange;
+                this.addContribution(trace, goal, 'aggregate lead change', this.config.aggregateLeadChange);
+            }
+
+            if (leader !== null) {
+                lastLeader = leader;
+            }
+        });
+
+        const wentToExtraTime = Boolean(secondLeg.duration) && secondLeg.duration !== 'REGULAR';
+        if (wentToExtraTime) {
+            score += this.config.extraTime;
+            this.addContribution(trace, null, 'tie went to extra time', this.config.extraTime);
+        }
+
+        const aggregateScore = Math.min(score, this.config.max);
+        if (score > this.config.max) {
+            this.addContribution(trace, null, `aggregate cap (${this.config.max})`, this.config.max - score);
+        }
+
+        const secondLegScore = secondLeg.rating?.totalScore || 0;
+        const totalScore = Math.min(secondLegScore + aggregateScore, 100);
+
+        const tie = {
+            competition: secondLeg.competition,
+            stage: secondLeg.stage,
+            teams: [secondLeg.homeTeam, secondLeg.awayTeam],
+            firstLeg,
+            secondLeg,
+            aggregate: {
+                [secondLeg.homeTeam]: aggregate.home,
+                [secondLeg.awayTeam]: aggregate.away
+            },
+            rating: {
+                totalScore: Math.round(totalScore),
+                breakdown: {
+                    secondLeg: secondLegScore,
+                    aggregate: Math.round(aggregateScore)
+                },
+                category: this.ratingEngine.getRatingCategory(totalScore),
+                profile: this.ratingEngine.profileName,
+                aggregateEqualizers,
+                aggregateLeadChanges,
+                wentToExtraTime
+            }
+        };
+
+        if (trace) {
+            tie.rating.explanation = trace;
+        }
+
+        return tie;
+    }
+
+    /**
+     * Which side leads on aggregate, or null when level
+     */
+    getLeader(aggregate) {
+        if (aggregate.home === aggregate.away) return null;
+        return aggregate.home > aggregate.away ? 'home' : 'away';
+    }
+
+    /**
+     * Record an aggregate contribution, matching FootballRatingEngine's trace shape
+     */
+    addContribution(trace, goal, rule, points) {
+        this.ratingEngine.addContribution(trace, 'aggregate', goal, rule, points);
+    }
+}
+
+module.exports = TieRatingEngine;